@@ -24,18 +24,46 @@ export const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
   }
 });
 
+/**
+ * Create a signed-out client that sends extra headers with every request
+ * Used by report share links, whose token is checked by database and storage policies.
+ * @param {Object} headers - Request headers
+ * @returns {Object} Supabase client
+ */
+export function createSharedAccessClient(headers) {
+  return createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+    auth: {
+      persistSession: false,
+      autoRefreshToken: false,
+      detectSessionInUrl: false
+    },
+    global: { headers }
+  });
+}
+
 /**
  * Database Tables Configuration
  */
 export const TABLES = {
   USER_PROFILES: 'user_profiles',
   HEALTH_REPORTS: 'health_reports',
+  LAB_RESULTS: 'lab_results',
+  REPORT_FOLDERS: 'report_folders',
+  REPORT_SHARES: 'report_shares',
+  USER_ENCRYPTION_KEYS: 'user_encryption_keys',
+  REPORT_ANNOTATIONS: 'report_annotations',
   APPOINTMENTS: 'appointments',
+  DOCTOR_PROFILES: 'doctor_profiles',
   CHAT_HISTORY: 'chat_history',
+  CHAT_SESSIONS: 'chat_sessions',
   AIR_QUALITY_CACHE: 'air_quality_cache',
   SYMPTOMS: 'symptoms',
   MEDICATIONS: 'medications',
-  EMERGENCY_CONTACTS: 'emergency_contacts'
+  EMERGENCY_CONTACTS: 'emergency_contacts',
+  NOTIFICATIONS: 'notifications',
+  SAVED_LOCATIONS: 'saved_locations',
+  AIR_QUALITY_HISTORY: 'air_quality_history',
+  SYSTEM_LOGS: 'system_logs'
 };
 
 /**
@@ -48,6 +76,11 @@ export const STORAGE_BUCKETS = {
   DOCUMENTS: 'documents'
 };
 
+/**
+ * Resumable (TUS) upload endpoint for Supabase Storage
+ */
+export const STORAGE_RESUMABLE_UPLOAD_URL = `${SUPABASE_URL}/storage/v1/upload/resumable`;
+
 /**
  * Supabase Service Functions
  */
@@ -0,0 +1,199 @@
+/**
+ * Reconcile Report Storage - Finds and repairs mismatches between stored report files and
+ * health_reports rows
+ * Runs in Node with the service role key (never ship that key to the browser):
+ *
+ *   SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... npm run storage:reconcile
+ *   SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... npm run storage:reconcile -- --repair
+ *
+ * Without --repair it only reports. With --repair, files no row points to are deleted (they
+ * count against the user's quota) and rows whose file is gone are marked with file_missing_at,
+ * so the app can show them as unavailable without losing their notes and lab values. Rows whose
+ * file reappears have the mark cleared. Each repair run is written to system_logs.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { pathToFileURL } from 'node:url';
+
+// Same bucket as STORAGE_BUCKETS.HEALTH_REPORTS (config/supabase.js loads the browser client)
+const HEALTH_REPORTS_BUCKET = 'health-reports';
+
+// Files and rows younger than this are skipped, so uploads still in progress are left alone
+const DEFAULT_MIN_AGE_HOURS = 24;
+
+// Storage accepts this many paths per remove request
+const REMOVE_BATCH_SIZE = 100;
+
+/**
+ * Find mismatches and optionally repair them
+ * @param {Object} client - Supabase client with the service role key
+ * @param {Object} options - Options
+ * @param {boolean} options.repair - Delete orphan files and mark rows with missing files
+ * @param {number} options.minAgeHours - Skip anything newer than this (default 24)
+ * @returns {Promise<Object>} {orphanObjects, missingObjects, removed, marked, cleared, errors}
+ */
+export async function reconcileReportStorage(client, options = {}) {
+  const { repair = false, minAgeHours = DEFAULT_MIN_AGE_HOURS } = options;
+
+  const { data: mismatches, error } = await client.rpc('find_report_storage_mismatches', {
+    min_age: `${minAgeHours} hours`
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  const orphanObjects = mismatches.filter(item => item.issue === 'orphan_object');
+  const missingObjects = mismatches.filter(item => item.issue === 'missing_object');
+  const result = { orphanObjects, missingObjects, removed: 0, marked: 0, cleared: 0, errors: [] };
+
+  if (!repair) {
+    return result;
+  }
+
+  for (let i = 0; i < orphanObjects.length; i += REMOVE_BATCH_SIZE) {
+    const names = orphanObjects.slice(i, i + REMOVE_BATCH_SIZE).map(item => item.object_name);
+    const { data: removed, error: removeError } = await client.storage.from(HEALTH_REPORTS_BUCKET).remove(names);
+
+    if (removeError) {
+      result.errors.push(`Could not delete ${names.length} orphan files: ${removeError.message}`);
+    } else {
+      result.removed += removed?.length ?? names.length;
+    }
+  }
+
+  const unmarked = missingObjects.filter(item => !item.file_missing_at).map(item => item.report_id);
+
+  if (unmarked.length) {
+    const { error: markError } = await client
+      .from('health_reports')
+      .update({ file_missing_at: new Date().toISOString() })
+      .in('id', unmarked);
+
+    if (markError) {
+      result.errors.push(`Could not mark ${unmarked.length} reports with missing files: ${markError.message}`);
+    } else {
+      result.marked = unmarked.length;
+    }
+  }
+
+  result.cleared = await clearRestoredReports(client, missingObjects, result.errors);
+
+  await client.from('system_logs').insert({
+    action: 'report_storage_reconciled',
+    resource_type: 'storage',
+    details: {
+      orphan_objects: orphanObjects.length,
+      missing_objects: missingObjects.length,
+      removed: result.removed,
+      marked: result.marked,
+      cleared: result.cleared,
+      errors: result.errors
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Helper Functions
+ */
+
+/**
+ * Clear file_missing_at on reports whose file exists again
+ * @param {Object} client - Supabase client
+ * @param {Array} missingObjects - Reports whose file is currently missing
+ * @param {Array<string>} errors - Collects error messages
+ * @returns {Promise<number>} Reports cleared
+ */
+async function clearRestoredReports(client, missingObjects, errors) {
+  const stillMissing = new Set(missingObjects.map(item => item.report_id));
+
+  const { data: marked, error } = await client
+    .from('health_reports')
+    .select('id')
+    .not('file_missing_at', 'is', null);
+
+  if (error) {
+    errors.push(`Could not check reports marked as missing: ${error.message}`);
+    return 0;
+  }
+
+  const restored = marked.map(row => row.id).filter(id => !stillMissing.has(id));
+
+  if (!restored.length) {
+    return 0;
+  }
+
+  const { error: clearError } = await client
+    .from('health_reports')
+    .update({ file_missing_at: null })
+    .in('id', restored);
+
+  if (clearError) {
+    errors.push(`Could not clear ${restored.length} restored reports: ${clearError.message}`);
+    return 0;
+  }
+
+  return restored.length;
+}
+
+/**
+ * Print a summary of a run
+ * @param {Object} result - Result of reconcileReportStorage
+ * @param {boolean} repair - Whether repairs were made
+ */
+function printSummary(result, repair) {
+  const bytes = result.orphanObjects.reduce((sum, item) => sum + (Number(item.size_bytes) || 0), 0);
+
+  console.log(`Orphan files (no report row): ${result.orphanObjects.length}, ${bytes} bytes`);
+  result.orphanObjects.forEach(item => console.log(`  ${item.object_name}`));
+
+  console.log(`Reports with a missing file: ${result.missingObjects.length}`);
+  result.missingObjects.forEach(item => console.log(`  ${item.report_id} (${item.object_name})`));
+
+  if (repair) {
+    console.log(`✅ Deleted ${result.removed} files, marked ${result.marked} reports, cleared ${result.cleared} reports`);
+    result.errors.forEach(message => console.error(`❌ ${message}`));
+  } else if (result.orphanObjects.length || result.missingObjects.length) {
+    console.log('Run again with --repair to fix these.');
+  }
+}
+
+// Command line
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+  const repair = args.includes('--repair');
+  const minAgeArg = args.find(arg => arg.startsWith('--min-age-hours='));
+  const minAgeHours = minAgeArg ? Number(minAgeArg.split('=')[1]) : DEFAULT_MIN_AGE_HOURS;
+
+  const { SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY } = process.env;
+
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+    console.error('Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+    process.exit(1);
+  }
+
+  if (!(minAgeHours >= 0)) {
+    console.error('--min-age-hours must be a number of hours');
+    process.exit(1);
+  }
+
+  const client = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  });
+
+  try {
+    const result = await reconcileReportStorage(client, { repair, minAgeHours });
+    printSummary(result, repair);
+    process.exit(result.errors.length ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Storage reconciliation failed:', error);
+    process.exit(1);
+  }
+}
+
+// Default export
+export default {
+  reconcileReportStorage
+};
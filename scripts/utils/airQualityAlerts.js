@@ -0,0 +1,191 @@
+/**
+ * Air Quality Alerts - Background monitoring of saved locations
+ * Records each saved location's air quality history and writes a notification
+ * when its AQI crosses the user's severity threshold
+ */
+
+import { supabase, TABLES } from '../../config/supabase.js';
+import { checkAirQuality, getSavedLocations, updateSavedLocation, getCurrentUserProfile } from './api.js';
+import { AQI_SCALES, POLLUTANT_LABELS, getSeverityAqiThreshold } from './aqi.js';
+import { recordAirQualityHistory } from './airQualityHistory.js';
+
+const DEFAULT_INTERVAL_MINUTES = 30;
+
+// AQI must drop this far below the threshold before an episode ends,
+// so readings hovering around the line don't alert on every check
+const CLEAR_MARGIN = 10;
+
+let alertTimer = null;
+
+/**
+ * Decide what a new reading means for a location's alert episode
+ * @param {Object} location - Saved location row
+ * @param {number|null} aqi - Current US EPA AQI
+ * @param {number} threshold - User's AQI threshold
+ * @returns {string} 'alert', 'clear' or 'none'
+ */
+export function evaluateAlert(location, aqi, threshold) {
+  if (aqi == null) {
+    return 'none';
+  }
+
+  if (aqi > threshold) {
+    return location.alert_active ? 'none' : 'alert';
+  }
+
+  if (location.alert_active && aqi <= threshold - CLEAR_MARGIN) {
+    return 'clear';
+  }
+
+  return 'none';
+}
+
+/**
+ * Check every saved location of the current user, record its reading and raise alerts
+ * @returns {Promise<Object>} Locations checked and notifications created
+ */
+export async function checkSavedLocationAlerts() {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) {
+      return { checked: 0, alerts: [], error: null };
+    }
+
+    const profile = await getCurrentUserProfile('asthma_severity');
+    const threshold = getSeverityAqiThreshold(profile?.asthma_severity);
+    const locations = await getSavedLocations();
+    const alerts = [];
+
+    for (const location of locations) {
+      try {
+        const reading = await checkAirQuality(getLocationQuery(location), { scale: AQI_SCALES.US_EPA });
+        await recordAirQualityHistory(location, reading);
+
+        if (!location.alerts_enabled) continue;
+
+        const action = evaluateAlert(location, reading.aqi.value, threshold);
+
+        if (action === 'alert') {
+          const notification = await createAlertNotification(user.id, location, reading, threshold);
+          if (notification) alerts.push(notification);
+
+          await updateSavedLocation(location.id, {
+            alert_active: true,
+            last_alert_at: new Date().toISOString()
+          });
+        } else if (action === 'clear') {
+          await updateSavedLocation(location.id, {
+            alert_active: false,
+            alert_cleared_at: new Date().toISOString()
+          });
+        }
+      } catch (error) {
+        console.error(`Air quality alert check failed for ${location.name}:`, error);
+      }
+    }
+
+    console.log(`✅ Checked ${locations.length} saved location(s), ${alerts.length} new alert(s)`);
+    return { checked: locations.length, alerts, error: null };
+
+  } catch (error) {
+    console.error('❌ Air quality alert check failed:', error);
+    return { checked: 0, alerts: [], error };
+  }
+}
+
+/**
+ * Start checking saved locations periodically while the page is open
+ * @param {Object} options - Scheduler options
+ * @param {number} options.intervalMinutes - Minutes between checks
+ * @returns {Function} Function that stops the checks
+ */
+export function startAirQualityAlerts(options = {}) {
+  const { intervalMinutes = DEFAULT_INTERVAL_MINUTES } = options;
+
+  stopAirQualityAlerts();
+
+  checkSavedLocationAlerts();
+  alertTimer = setInterval(checkSavedLocationAlerts, intervalMinutes * 60 * 1000);
+
+  return stopAirQualityAlerts;
+}
+
+/**
+ * Stop periodic air quality checks
+ */
+export function stopAirQualityAlerts() {
+  if (alertTimer) {
+    clearInterval(alertTimer);
+    alertTimer = null;
+  }
+}
+
+/**
+ * Helper Functions
+ */
+
+/**
+ * Get the query used to look up a saved location
+ * @param {Object} location - Saved location row
+ * @returns {string} Coordinates when known, else the saved query
+ */
+function getLocationQuery(location) {
+  return location.latitude != null && location.longitude != null
+    ? `${location.latitude},${location.longitude}`
+    : location.query;
+}
+
+/**
+ * Insert the notification for a new alert episode
+ * The episode key is derived from when the previous episode ended, so every open
+ * tab computes the same key and the unique index rejects duplicates.
+ * @param {string} userId - User ID
+ * @param {Object} location - Saved location row
+ * @param {AirQualityReading} reading - Reading with US EPA AQI
+ * @param {number} threshold - User's AQI threshold
+ * @returns {Promise<Object|null>} Notification, or null if this episode was already alerted
+ */
+async function createAlertNotification(userId, location, reading, threshold) {
+  const { value, category, dominant_pollutant: dominant } = reading.aqi;
+  const episodeKey = `air_quality:${location.id}:${location.alert_cleared_at || location.created_at}`;
+  const label = location.label.charAt(0).toUpperCase() + location.label.slice(1);
+
+  const { data, error } = await supabase
+    .from(TABLES.NOTIFICATIONS)
+    .insert({
+      user_id: userId,
+      title: `Air quality alert: ${location.name}`,
+      message: `${label} AQI is ${value} (${category}), above your limit of ${threshold}.` +
+        (dominant ? ` Main pollutant: ${POLLUTANT_LABELS[dominant]}.` : ''),
+      type: value > 150 ? 'error' : 'warning',
+      action_url: `index.html?location=${encodeURIComponent(getLocationQuery(location))}#air-quality-section`,
+      metadata: {
+        type: 'air_quality_alert',
+        location_id: location.id,
+        aqi: value,
+        threshold,
+        dominant_pollutant: dominant || null,
+        episode_key: episodeKey
+      }
+    })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      return null;
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+// Default export
+export default {
+  evaluateAlert,
+  checkSavedLocationAlerts,
+  startAirQualityAlerts,
+  stopAirQualityAlerts
+};
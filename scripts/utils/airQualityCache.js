@@ -0,0 +1,281 @@
+/**
+ * Air Quality Cache - Layered TTL cache for provider responses
+ * Memory and localStorage sit in front of the shared air_quality_cache table,
+ * which holds one row per normalized location key.
+ */
+
+import { supabase, TABLES } from '../../config/supabase.js';
+
+const STORAGE_KEY = 'asthmacare:aq-cache';
+const MAX_STORED_ENTRIES = 30;
+
+// Ask the database to drop expired rows at most this often per browser
+const CLEANUP_INTERVAL_HOURS = 6;
+const CLEANUP_STORAGE_KEY = 'asthmacare:aq-cache-cleanup';
+
+const memoryCache = new Map(loadStoredEntries());
+const inFlight = new Map();
+
+/**
+ * Cache entry
+ * @typedef {Object} CacheEntry
+ * @property {Object} data - Cached payload
+ * @property {string} created_at - When the payload was fetched
+ * @property {string} expires_at - When the payload stops being fresh
+ */
+
+/**
+ * Get a value through the cache
+ * Fresh entries are returned as is. Entries past `expires_at` but within the stale
+ * window are returned immediately while a background fetch refreshes them. Concurrent
+ * callers for the same key share one fetch.
+ * @param {string} key - Normalized cache key
+ * @param {Function} fetcher - Async function producing fresh data
+ * @param {Object} options - Cache options
+ * @param {number} options.ttlMinutes - Minutes a fetched value stays fresh
+ * @param {number} options.staleMinutes - Minutes past expiry a value may still be served
+ * @param {Function} options.onRevalidate - Called with fresh data after a background refresh
+ * @returns {Promise<{data: Object, status: string, created_at: string}>} Data and
+ *   cache status ('fresh', 'stale', 'miss' or 'fallback')
+ */
+export async function cachedFetch(key, fetcher, options = {}) {
+  const { ttlMinutes = 30, staleMinutes = 0, onRevalidate } = options;
+  const entry = await getCacheEntry(key);
+  const now = Date.now();
+
+  if (entry && new Date(entry.expires_at).getTime() > now) {
+    return { data: entry.data, status: 'fresh', created_at: entry.created_at };
+  }
+
+  if (entry && new Date(entry.expires_at).getTime() + staleMinutes * 60 * 1000 > now) {
+    revalidate(key, fetcher, ttlMinutes)
+      .then(fresh => onRevalidate?.(fresh.data))
+      .catch(error => console.error(`Background refresh failed for ${key}:`, error));
+
+    return { data: entry.data, status: 'stale', created_at: entry.created_at };
+  }
+
+  try {
+    const fresh = await revalidate(key, fetcher, ttlMinutes);
+    return { data: fresh.data, status: 'miss', created_at: fresh.created_at };
+
+  } catch (error) {
+    // Any cached value beats no value when every provider is down
+    if (entry) {
+      console.log(`📦 Using expired cache for ${key} as fallback`);
+      return { data: entry.data, status: 'fallback', created_at: entry.created_at };
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Read an entry from the local layers, falling back to Supabase when the local copy
+ * is missing or expired (another user may have refreshed the shared row)
+ * @param {string} key - Normalized cache key
+ * @returns {Promise<CacheEntry|null>} Newest entry, expired or not, or null
+ */
+export async function getCacheEntry(key) {
+  const local = memoryCache.get(key) || null;
+
+  if (local && new Date(local.expires_at).getTime() > Date.now()) {
+    return local;
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from(TABLES.AIR_QUALITY_CACHE)
+      .select('data, created_at, expires_at')
+      .eq('location', key)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!data || (local && new Date(local.expires_at) >= new Date(data.expires_at))) {
+      return local;
+    }
+
+    rememberEntry(key, data);
+    return data;
+
+  } catch (error) {
+    console.error('Cache lookup failed:', error);
+    return local;
+  }
+}
+
+/**
+ * Store an entry in every cache layer
+ * @param {string} key - Normalized cache key
+ * @param {Object} data - Payload to cache
+ * @param {number} ttlMinutes - Minutes until the entry expires
+ * @returns {Promise<CacheEntry>} Stored entry
+ */
+export async function setCacheEntry(key, data, ttlMinutes) {
+  const now = new Date();
+  const entry = {
+    data,
+    created_at: now.toISOString(),
+    expires_at: new Date(now.getTime() + ttlMinutes * 60 * 1000).toISOString()
+  };
+
+  rememberEntry(key, entry);
+
+  try {
+    const { error } = await supabase
+      .from(TABLES.AIR_QUALITY_CACHE)
+      .upsert({ location: key, ...entry }, { onConflict: 'location' });
+
+    if (error) {
+      throw error;
+    }
+
+    scheduleCleanup();
+
+  } catch (error) {
+    console.error('Cache storage failed:', error);
+    // Don't throw - the local layers still hold the entry
+  }
+
+  return entry;
+}
+
+/**
+ * Drop an entry from the local layers so the next read goes to Supabase
+ * @param {string} key - Normalized cache key
+ */
+export function invalidateCacheEntry(key) {
+  memoryCache.delete(key);
+  persistEntries();
+}
+
+/**
+ * Clear the local cache layers
+ */
+export function clearLocalAirQualityCache() {
+  memoryCache.clear();
+  inFlight.clear();
+
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    // Storage unavailable - nothing to clear
+  }
+}
+
+/**
+ * Delete expired rows from air_quality_cache
+ * @returns {Promise<Object>} Result with error if any
+ */
+export async function cleanExpiredAirQualityCache() {
+  try {
+    const { error } = await supabase.rpc('clean_expired_air_quality_cache');
+
+    if (error) {
+      throw error;
+    }
+
+    return { error: null };
+
+  } catch (error) {
+    console.error('❌ Air quality cache cleanup failed:', error);
+    return { error };
+  }
+}
+
+/**
+ * Helper Functions
+ */
+
+/**
+ * Fetch and store fresh data, sharing one request per key
+ * @param {string} key - Normalized cache key
+ * @param {Function} fetcher - Async function producing fresh data
+ * @param {number} ttlMinutes - Minutes the data stays fresh
+ * @returns {Promise<CacheEntry>} Stored entry
+ */
+function revalidate(key, fetcher, ttlMinutes) {
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const request = (async () => {
+    try {
+      const data = await fetcher();
+      return await setCacheEntry(key, data, ttlMinutes);
+    } finally {
+      inFlight.delete(key);
+    }
+  })();
+
+  inFlight.set(key, request);
+  return request;
+}
+
+/**
+ * Keep an entry in memory and localStorage
+ * @param {string} key - Normalized cache key
+ * @param {CacheEntry} entry - Entry
+ */
+function rememberEntry(key, entry) {
+  // Re-insert so the most recently used keys survive trimming
+  memoryCache.delete(key);
+  memoryCache.set(key, entry);
+  persistEntries();
+}
+
+/**
+ * Write the most recent entries to localStorage
+ */
+function persistEntries() {
+  try {
+    const entries = [...memoryCache.entries()].slice(-MAX_STORED_ENTRIES);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    // Storage may be full or unavailable (private mode) - memory still works
+  }
+}
+
+/**
+ * Load cached entries from localStorage
+ * @returns {Array<Array>} Map entries
+ */
+function loadStoredEntries() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Run the database cleanup if this browser hasn't done so recently
+ */
+function scheduleCleanup() {
+  try {
+    const lastRun = Number(localStorage.getItem(CLEANUP_STORAGE_KEY)) || 0;
+
+    if (Date.now() - lastRun < CLEANUP_INTERVAL_HOURS * 60 * 60 * 1000) {
+      return;
+    }
+
+    localStorage.setItem(CLEANUP_STORAGE_KEY, String(Date.now()));
+  } catch (error) {
+    return;
+  }
+
+  cleanExpiredAirQualityCache();
+}
+
+// Default export
+export default {
+  cachedFetch,
+  getCacheEntry,
+  setCacheEntry,
+  invalidateCacheEntry,
+  clearLocalAirQualityCache,
+  cleanExpiredAirQualityCache
+};
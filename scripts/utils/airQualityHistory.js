@@ -0,0 +1,388 @@
+/**
+ * Air Quality History - Readings per saved location and their link to symptoms
+ * Compares logged symptom severity on high- and low-pollution days
+ */
+
+import { supabase, TABLES } from '../../config/supabase.js';
+import { getSavedLocations, getSymptomHistory } from './api.js';
+import { POLLUTANTS } from './airQualityProviders.js';
+import { POLLUTANT_LABELS } from './aqi.js';
+
+// Levels that split days into "high" and "low" for each metric (µg/m³, or US EPA AQI).
+// PM2.5 uses the US 24-hour standard; the others follow WHO 2021 daily guidance.
+const CORRELATION_THRESHOLDS = {
+  pm2_5: 35,
+  pm10: 45,
+  o3: 100,
+  no2: 25,
+  aqi: 100
+};
+
+// Fewer days than this on either side of a threshold says nothing useful
+const MIN_DAYS_PER_GROUP = 3;
+
+// Ratio of average symptom burden (high days / low days) worth telling the user about
+const SIGNIFICANT_RATIO = 1.5;
+
+// A trigger is linked to pollution when logged on days this much above average AQI
+const TRIGGER_AQI_RATIO = 1.25;
+
+/**
+ * Record a reading in a saved location's history
+ * Repeated readings for the same observation time are ignored, so every open tab can record.
+ * @param {Object} location - Saved location row
+ * @param {AirQualityReading} reading - Reading with US EPA AQI
+ * @returns {Promise<Object>} Insert result
+ */
+export async function recordAirQualityHistory(location, reading) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    const { error } = await supabase
+      .from(TABLES.AIR_QUALITY_HISTORY)
+      .upsert({
+        user_id: user.id,
+        location_id: location.id,
+        observed_at: reading.observed_at || startOfHour(new Date()).toISOString(),
+        ...Object.fromEntries(POLLUTANTS.map(pollutant => [pollutant, reading.pollutants[pollutant] ?? null])),
+        aqi: reading.aqi.value,
+        dominant_pollutant: reading.aqi.dominant_pollutant || null,
+        source: reading.source
+      }, { onConflict: 'location_id,observed_at', ignoreDuplicates: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return { error: null };
+
+  } catch (error) {
+    console.error('❌ Air quality history recording failed:', error);
+    return { error };
+  }
+}
+
+/**
+ * Get recorded air quality for a saved location
+ * @param {string} locationId - Saved location ID
+ * @param {Object} filters - Filter options
+ * @param {string} filters.startDate - ISO date to start from
+ * @param {string} filters.endDate - ISO date to end at
+ * @returns {Promise<Array>} Readings, oldest first
+ */
+export async function getAirQualityHistory(locationId, filters = {}) {
+  try {
+    let query = supabase
+      .from(TABLES.AIR_QUALITY_HISTORY)
+      .select('*')
+      .eq('location_id', locationId)
+      .order('observed_at', { ascending: true });
+
+    if (filters.startDate) {
+      query = query.gte('observed_at', filters.startDate);
+    }
+
+    if (filters.endDate) {
+      query = query.lte('observed_at', filters.endDate);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+
+  } catch (error) {
+    console.error('Failed to fetch air quality history:', error);
+    throw error;
+  }
+}
+
+/**
+ * Correlate the current user's symptoms with air quality at one of their saved locations
+ * @param {Object} options - Analysis options
+ * @param {string} options.locationId - Saved location ID (defaults to home, else the first saved)
+ * @param {number} options.days - Days to look back
+ * @returns {Promise<Object|null>} Correlation (see correlateAirQualityWithSymptoms), or null
+ *   when there is no saved location to analyze
+ */
+export async function analyzeAirQualitySymptoms(options = {}) {
+  const { locationId, days = 90 } = options;
+
+  const locations = await getSavedLocations();
+  const location = locationId
+    ? locations.find(saved => saved.id === locationId)
+    : locations.find(saved => saved.label === 'home') || locations[0];
+
+  if (!location) {
+    return null;
+  }
+
+  const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  const [history, symptoms] = await Promise.all([
+    getAirQualityHistory(location.id, { startDate }),
+    getSymptomHistory({ startDate })
+  ]);
+
+  return {
+    location: { id: location.id, name: location.name, label: location.label },
+    ...correlateAirQualityWithSymptoms(history, symptoms)
+  };
+}
+
+/**
+ * Compare daily symptom burden on high- and low-pollution days
+ * A day's burden is the sum of severities logged that day (0 when nothing was logged).
+ * Only days with air quality readings are analyzed.
+ * @param {Array<Object>} history - Air quality history rows
+ * @param {Array<Object>} symptoms - Symptom rows from getSymptomHistory
+ * @param {Object} options - Analysis options
+ * @param {Object} options.thresholds - Overrides for CORRELATION_THRESHOLDS
+ * @returns {Object} Findings per metric, trigger links and plain-language statements
+ */
+export function correlateAirQualityWithSymptoms(history, symptoms, options = {}) {
+  const thresholds = { ...CORRELATION_THRESHOLDS, ...options.thresholds };
+  const daily = summarizeDailyAirQuality(history);
+  const dates = [...daily.keys()];
+
+  const burden = new Map(dates.map(date => [date, 0]));
+  const triggerDays = new Map();
+
+  for (const symptom of symptoms) {
+    const date = toLocalDate(symptom.recorded_at);
+    if (!burden.has(date)) continue;
+
+    burden.set(date, burden.get(date) + symptom.severity);
+
+    for (const trigger of symptom.triggers || []) {
+      const name = trigger.trim().toLowerCase();
+      if (!name) continue;
+      if (!triggerDays.has(name)) triggerDays.set(name, new Set());
+      triggerDays.get(name).add(date);
+    }
+  }
+
+  const findings = Object.entries(thresholds)
+    .map(([metric, threshold]) => compareDays(metric, threshold, dates, daily, burden))
+    .filter(Boolean)
+    .sort((a, b) => (b.significant - a.significant) || ((b.ratio ?? 0) - (a.ratio ?? 0)));
+
+  const triggers = linkTriggers(triggerDays, dates, daily);
+
+  return {
+    period: dates.length ? { start: dates[0], end: dates[dates.length - 1] } : null,
+    days_analyzed: dates.length,
+    symptom_days: [...burden.values()].filter(value => value > 0).length,
+    findings,
+    triggers,
+    statements: [
+      ...findings.filter(finding => finding.significant).map(finding => finding.statement),
+      ...triggers.filter(trigger => trigger.linked).map(trigger => trigger.statement)
+    ]
+  };
+}
+
+/**
+ * Average readings per local day
+ * Pollutants are daily means; AQI is the daily maximum.
+ * @param {Array<Object>} history - Air quality history rows
+ * @returns {Map<string, Object>} Date (YYYY-MM-DD) to daily values, in date order
+ */
+export function summarizeDailyAirQuality(history) {
+  const days = new Map();
+
+  for (const row of history) {
+    const date = toLocalDate(row.observed_at);
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push(row);
+  }
+
+  const summary = new Map();
+
+  for (const date of [...days.keys()].sort()) {
+    const rows = days.get(date);
+    const values = {};
+
+    for (const pollutant of POLLUTANTS) {
+      const readings = rows.map(row => row[pollutant]).filter(value => value != null).map(Number);
+      values[pollutant] = readings.length ? readings.reduce((sum, value) => sum + value, 0) / readings.length : null;
+    }
+
+    const aqis = rows.map(row => row.aqi).filter(value => value != null);
+    values.aqi = aqis.length ? Math.max(...aqis) : null;
+
+    summary.set(date, values);
+  }
+
+  return summary;
+}
+
+/**
+ * Helper Functions
+ */
+
+/**
+ * Compare symptom burden above and below one threshold
+ * @param {string} metric - Pollutant key or 'aqi'
+ * @param {number} threshold - Level splitting high and low days
+ * @param {Array<string>} dates - Analyzed dates
+ * @param {Map<string, Object>} daily - Daily air quality
+ * @param {Map<string, number>} burden - Daily symptom burden
+ * @returns {Object|null} Finding, or null when either side has too few days
+ */
+function compareDays(metric, threshold, dates, daily, burden) {
+  const measured = dates.filter(date => daily.get(date)[metric] != null);
+  const high = measured.filter(date => daily.get(date)[metric] > threshold);
+  const low = measured.filter(date => daily.get(date)[metric] <= threshold);
+
+  if (high.length < MIN_DAYS_PER_GROUP || low.length < MIN_DAYS_PER_GROUP) {
+    return null;
+  }
+
+  const highSeverity = mean(high.map(date => burden.get(date)));
+  const lowSeverity = mean(low.map(date => burden.get(date)));
+  const ratio = lowSeverity > 0 ? highSeverity / lowSeverity : null;
+
+  const label = metric === 'aqi' ? 'AQI' : POLLUTANT_LABELS[metric];
+  const condition = `${label} > ${threshold}${metric === 'aqi' ? '' : ' µg/m³'}`;
+
+  let statement = null;
+  if (ratio != null && ratio >= SIGNIFICANT_RATIO) {
+    statement = `Your symptoms are ${Number(ratio.toFixed(1))}x worse on days ${condition}`;
+  } else if (ratio == null && highSeverity > 0) {
+    statement = `You only logged symptoms on days ${condition}`;
+  }
+
+  return {
+    metric,
+    threshold,
+    high_days: high.length,
+    low_days: low.length,
+    high_severity: round(highSeverity),
+    low_severity: round(lowSeverity),
+    ratio: ratio != null ? round(ratio) : null,
+    correlation: pearson(
+      measured.map(date => daily.get(date)[metric]),
+      measured.map(date => burden.get(date))
+    ),
+    significant: statement !== null,
+    statement
+  };
+}
+
+/**
+ * Compare AQI on days each trigger was logged against the average day
+ * @param {Map<string, Set<string>>} triggerDays - Trigger to dates it was logged
+ * @param {Array<string>} dates - Analyzed dates
+ * @param {Map<string, Object>} daily - Daily air quality
+ * @returns {Array<Object>} Trigger links, most polluted first
+ */
+function linkTriggers(triggerDays, dates, daily) {
+  const aqiDates = dates.filter(date => daily.get(date).aqi != null);
+  const baseline = mean(aqiDates.map(date => daily.get(date).aqi));
+
+  if (!aqiDates.length) {
+    return [];
+  }
+
+  return [...triggerDays.entries()]
+    .map(([trigger, logged]) => {
+      const days = [...logged].filter(date => daily.get(date).aqi != null);
+      if (days.length < 2) return null;
+
+      const avgAqi = mean(days.map(date => daily.get(date).aqi));
+      const linked = baseline > 0 && avgAqi >= baseline * TRIGGER_AQI_RATIO;
+
+      return {
+        trigger,
+        days: days.length,
+        avg_aqi: Math.round(avgAqi),
+        baseline_aqi: Math.round(baseline),
+        linked,
+        statement: linked
+          ? `You usually log "${trigger}" on high-pollution days (average AQI ${Math.round(avgAqi)} vs ${Math.round(baseline)} overall)`
+          : null
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.avg_aqi - a.avg_aqi);
+}
+
+/**
+ * Pearson correlation coefficient
+ * @param {Array<number>} xs - First series
+ * @param {Array<number>} ys - Second series
+ * @returns {number|null} Coefficient, or null if either series is constant
+ */
+function pearson(xs, ys) {
+  const mx = mean(xs);
+  const my = mean(ys);
+  let covariance = 0;
+  let vx = 0;
+  let vy = 0;
+
+  for (let i = 0; i < xs.length; i++) {
+    covariance += (xs[i] - mx) * (ys[i] - my);
+    vx += (xs[i] - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  }
+
+  return vx && vy ? round(covariance / Math.sqrt(vx * vy)) : null;
+}
+
+/**
+ * Arithmetic mean
+ * @param {Array<number>} values - Values
+ * @returns {number} Mean, or 0 for no values
+ */
+function mean(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Round to two decimals
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Format a timestamp as a local calendar date
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} YYYY-MM-DD
+ */
+function toLocalDate(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Truncate a date to the start of its hour
+ * @param {Date} date - Date
+ * @returns {Date} Start of the hour
+ */
+function startOfHour(date) {
+  const hour = new Date(date);
+  hour.setMinutes(0, 0, 0);
+  return hour;
+}
+
+// Default export
+export default {
+  recordAirQualityHistory,
+  getAirQualityHistory,
+  analyzeAirQualitySymptoms,
+  correlateAirQualityWithSymptoms,
+  summarizeDailyAirQuality
+};
@@ -0,0 +1,806 @@
+/**
+ * Air Quality Providers - Pluggable data sources for air quality readings
+ * Every provider normalizes its response into one canonical reading object,
+ * including the weather and pollen conditions it reports alongside pollutants
+ */
+
+/**
+ * Canonical air quality reading
+ * @typedef {Object} AirQualityReading
+ * @property {{name: string, region: string|null, country: string|null}} location - Resolved location
+ * @property {{lat: number|null, lon: number|null}} coordinates - Location coordinates
+ * @property {Object<string, number|null>} pollutants - Concentrations in µg/m³ (pm2_5, pm10, o3, no2, so2, co)
+ * @property {{value: number|null, scale: string, category: string|null}} aqi - Air quality index
+ * @property {WeatherConditions} weather - Weather at the location (fields null when not reported)
+ * @property {Object<string, number|null>} pollen - Pollen counts in grains/m³ (tree, grass, weed)
+ * @property {string} source - Provider name
+ * @property {string} observed_at - ISO timestamp of the observation
+ */
+
+/**
+ * Weather conditions relevant to asthma
+ * @typedef {Object} WeatherConditions
+ * @property {number|null} temperature_c - Air temperature
+ * @property {number|null} feels_like_c - Apparent temperature
+ * @property {number|null} humidity - Relative humidity in %
+ * @property {number|null} wind_kph - Wind speed
+ * @property {number|null} gust_kph - Wind gusts
+ * @property {string|null} condition - Provider's condition text
+ * @property {boolean|null} thunderstorm - Thunderstorm reported or expected
+ */
+
+/**
+ * Canonical air quality forecast
+ * @typedef {Object} AirQualityForecast
+ * @property {{name: string, region: string|null, country: string|null}} location - Resolved location
+ * @property {{lat: number|null, lon: number|null}} coordinates - Location coordinates
+ * @property {Array<{time: string, date: string, pollutants: Object, aqi: Object}>} hourly - Hourly outlook
+ * @property {Array<{date: string, pollutants: Object, aqi: Object}>} daily - Daily means of the hourly outlook
+ * @property {string} source - Provider name
+ * @property {string} generated_at - ISO timestamp the forecast was fetched
+ */
+
+export const POLLUTANTS = ['pm2_5', 'pm10', 'o3', 'no2', 'so2', 'co'];
+
+export const POLLEN_TYPES = ['tree', 'grass', 'weed'];
+
+const WEATHER_FIELDS = ['temperature_c', 'feels_like_c', 'humidity', 'wind_kph', 'gust_kph'];
+
+// Molecular weights (g/mol) used to convert ppm readings to µg/m³ at 25°C
+const MOLECULAR_WEIGHTS = {
+  o3: 48.00,
+  no2: 46.01,
+  so2: 64.07,
+  co: 28.01
+};
+
+const MOLAR_VOLUME = 24.45;
+
+/**
+ * Weatherapi.com Provider
+ */
+
+const WEATHERAPI_API_KEY = 'your-air-quality-api-key';
+const WEATHERAPI_BASE_URL = 'http://api.weatherapi.com/v1';
+
+// Condition codes for thunder ("Thundery outbreaks possible", "... with thunder")
+const WEATHERAPI_THUNDER_CODES = [1087, 1273, 1276, 1279, 1282];
+
+// weatherapi reports pollen per species; group them the way pollen forecasts usually do
+const WEATHERAPI_POLLEN_GROUPS = {
+  tree: ['Hazel', 'Alder', 'Birch', 'Oak'],
+  grass: ['Grass'],
+  weed: ['Mugwort', 'Ragweed']
+};
+
+export const weatherApiProvider = {
+  name: 'weatherapi',
+
+  /**
+   * Fetch current conditions from weatherapi.com
+   * @param {string} location - Location name or "lat,lon"
+   * @returns {Promise<AirQualityReading>} Normalized reading
+   */
+  async fetchCurrent(location) {
+    const url = `${WEATHERAPI_BASE_URL}/current.json?key=${WEATHERAPI_API_KEY}&q=${encodeURIComponent(location)}&aqi=yes&pollen=yes`;
+
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`Air quality API error: ${response.status}`);
+    }
+
+    return this.normalize(await response.json());
+  },
+
+  /**
+   * Normalize a weatherapi.com current.json payload
+   * @param {Object} raw - Raw API response
+   * @returns {AirQualityReading} Normalized reading
+   */
+  normalize(raw) {
+    const airQuality = raw?.current?.air_quality;
+
+    if (!airQuality) {
+      throw new Error('Air quality data missing from weatherapi response');
+    }
+
+    const current = raw.current;
+
+    return createReading({
+      location: {
+        name: raw.location?.name,
+        region: raw.location?.region,
+        country: raw.location?.country
+      },
+      coordinates: {
+        lat: raw.location?.lat,
+        lon: raw.location?.lon
+      },
+      pollutants: {
+        pm2_5: airQuality.pm2_5,
+        pm10: airQuality.pm10,
+        o3: airQuality.o3,
+        no2: airQuality.no2,
+        so2: airQuality.so2,
+        co: airQuality.co
+      },
+      aqi: {
+        value: airQuality['us-epa-index'] ?? airQuality.us_epa_index ?? null,
+        scale: 'us-epa-band'
+      },
+      weather: {
+        temperature_c: current.temp_c,
+        feels_like_c: current.feelslike_c,
+        humidity: current.humidity,
+        wind_kph: current.wind_kph,
+        gust_kph: current.gust_kph,
+        condition: current.condition?.text,
+        thunderstorm: current.condition?.code != null
+          ? WEATHERAPI_THUNDER_CODES.includes(current.condition.code)
+          : null
+      },
+      // Pollen is only included on plans that support it
+      pollen: current.pollen ? groupPollen(current.pollen, WEATHERAPI_POLLEN_GROUPS) : {},
+      source: 'weatherapi',
+      observed_at: raw.current.last_updated_epoch
+        ? new Date(raw.current.last_updated_epoch * 1000).toISOString()
+        : null
+    });
+  },
+
+  /**
+   * Fetch an hourly forecast from weatherapi.com
+   * @param {string} location - Location name or "lat,lon"
+   * @param {number} days - Number of days (1-3 on the free plan)
+   * @returns {Promise<AirQualityForecast>} Normalized forecast
+   */
+  async fetchForecast(location, days = 3) {
+    const url = `${WEATHERAPI_BASE_URL}/forecast.json?key=${WEATHERAPI_API_KEY}&q=${encodeURIComponent(location)}&days=${days}&aqi=yes&alerts=no`;
+
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`Air quality forecast API error: ${response.status}`);
+    }
+
+    return this.normalizeForecast(await response.json());
+  },
+
+  /**
+   * Normalize a weatherapi.com forecast.json payload
+   * @param {Object} raw - Raw API response
+   * @returns {AirQualityForecast} Normalized forecast
+   */
+  normalizeForecast(raw) {
+    const days = raw?.forecast?.forecastday;
+
+    if (!days) {
+      throw new Error('Forecast data missing from weatherapi response');
+    }
+
+    const hourly = [];
+
+    days.forEach(day => {
+      (day.hour || []).forEach(hour => {
+        if (!hour.air_quality) return;
+
+        hourly.push({
+          time: new Date(hour.time_epoch * 1000).toISOString(),
+          date: day.date,
+          pollutants: {
+            pm2_5: hour.air_quality.pm2_5,
+            pm10: hour.air_quality.pm10,
+            o3: hour.air_quality.o3,
+            no2: hour.air_quality.no2,
+            so2: hour.air_quality.so2,
+            co: hour.air_quality.co
+          },
+          aqi: {
+            value: hour.air_quality['us-epa-index'] ?? null,
+            scale: 'us-epa-band'
+          }
+        });
+      });
+    });
+
+    return createForecast({
+      location: {
+        name: raw.location?.name,
+        region: raw.location?.region,
+        country: raw.location?.country
+      },
+      coordinates: {
+        lat: raw.location?.lat,
+        lon: raw.location?.lon
+      },
+      hourly,
+      source: 'weatherapi'
+    });
+  },
+
+  /**
+   * Look up places matching a name or "lat,lon" query
+   * @param {string} query - Place name or coordinates
+   * @returns {Promise<Array<Object>>} Matching places, best first
+   */
+  async geocode(query) {
+    const url = `${WEATHERAPI_BASE_URL}/search.json?key=${WEATHERAPI_API_KEY}&q=${encodeURIComponent(query)}`;
+
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`Geocoding API error: ${response.status}`);
+    }
+
+    const places = await response.json();
+
+    return places.map(place => ({
+      id: `weatherapi:${place.id}`,
+      name: place.name,
+      region: place.region || null,
+      country: place.country || null,
+      lat: place.lat,
+      lon: place.lon
+    }));
+  }
+};
+
+/**
+ * OpenAQ Provider
+ */
+
+const OPENAQ_API_KEY = 'your-openaq-api-key';
+const OPENAQ_BASE_URL = 'https://api.openaq.org/v2';
+
+const OPENAQ_PARAMETERS = {
+  pm25: 'pm2_5',
+  pm10: 'pm10',
+  o3: 'o3',
+  no2: 'no2',
+  so2: 'so2',
+  co: 'co'
+};
+
+export const openAqProvider = {
+  name: 'openaq',
+
+  /**
+   * Fetch latest measurements from OpenAQ
+   * @param {string} location - City name or "lat,lon"
+   * @returns {Promise<AirQualityReading>} Normalized reading
+   */
+  async fetchCurrent(location) {
+    const coordinates = parseCoordinates(location);
+    const params = new URLSearchParams({ limit: '1' });
+
+    if (coordinates) {
+      params.set('coordinates', `${coordinates.lat},${coordinates.lon}`);
+      params.set('radius', '25000');
+    } else {
+      params.set('city', location);
+    }
+
+    const response = await fetch(`${OPENAQ_BASE_URL}/latest?${params}`, {
+      headers: { 'X-API-Key': OPENAQ_API_KEY }
+    });
+
+    if (!response.ok) {
+      throw new Error(`OpenAQ API error: ${response.status}`);
+    }
+
+    return this.normalize(await response.json(), location);
+  },
+
+  /**
+   * Normalize an OpenAQ /latest payload
+   * @param {Object} raw - Raw API response
+   * @param {string} query - Original location query
+   * @returns {AirQualityReading} Normalized reading
+   */
+  normalize(raw, query = '') {
+    const result = raw?.results?.[0];
+
+    if (!result) {
+      throw new Error(`No OpenAQ station found for ${query}`);
+    }
+
+    const pollutants = {};
+    let observedAt = null;
+
+    (result.measurements || []).forEach(measurement => {
+      const key = OPENAQ_PARAMETERS[measurement.parameter];
+      if (!key) return;
+
+      pollutants[key] = toMicrogramsPerCubicMeter(key, measurement.value, measurement.unit);
+
+      if (!observedAt || measurement.lastUpdated > observedAt) {
+        observedAt = measurement.lastUpdated;
+      }
+    });
+
+    return createReading({
+      location: {
+        name: result.city || result.location,
+        region: null,
+        country: result.country
+      },
+      coordinates: {
+        lat: result.coordinates?.latitude,
+        lon: result.coordinates?.longitude
+      },
+      pollutants,
+      aqi: { value: null, scale: 'none' },
+      source: 'openaq',
+      observed_at: observedAt ? new Date(observedAt).toISOString() : null
+    });
+  }
+};
+
+/**
+ * Fixture Provider
+ */
+
+/**
+ * Create a provider that serves readings from local JSON, for offline use and tests
+ * @param {Object|string} fixtures - Readings keyed by lowercase location, or a URL to a JSON file of them
+ * @returns {Object} Provider
+ */
+export function createFixtureProvider(fixtures = 'scripts/utils/fixtures/air-quality.json') {
+  let loaded = typeof fixtures === 'string' ? null : fixtures;
+
+  /**
+   * Find the fixture for a name ("London, UK" matches "london") or "lat,lon" query
+   * @param {string} location - Location query
+   * @returns {Promise<{key: string, raw: Object}>} Matching fixture
+   */
+  async function findFixture(location) {
+    if (!loaded) {
+      const response = await fetch(fixtures);
+
+      if (!response.ok) {
+        throw new Error(`Failed to load air quality fixtures: ${response.status}`);
+      }
+
+      loaded = await response.json();
+    }
+
+    const coordinates = parseCoordinates(location);
+    const key = coordinates
+      ? Object.keys(loaded).find(name =>
+          loaded[name].coordinates?.lat != null &&
+          Math.abs(loaded[name].coordinates.lat - coordinates.lat) < 0.05 &&
+          Math.abs(loaded[name].coordinates.lon - coordinates.lon) < 0.05)
+      : location.split(',')[0].trim().toLowerCase();
+
+    const raw = loaded[key] || loaded.default;
+
+    if (!raw) {
+      throw new Error(`No air quality fixture for ${location}`);
+    }
+
+    return { key: loaded[key] ? key : 'default', raw };
+  }
+
+  return {
+    name: 'fixture',
+
+    async fetchCurrent(location) {
+      const { raw } = await findFixture(location);
+      return this.normalize(raw, location);
+    },
+
+    async fetchForecast(location, days = 3) {
+      const { raw } = await findFixture(location);
+      const current = this.normalize(raw, location);
+
+      return createForecast({
+        location: current.location,
+        coordinates: current.coordinates,
+        hourly: raw.hourly || synthesizeHourly(current.pollutants, days),
+        source: 'fixture'
+      });
+    },
+
+    async geocode(query) {
+      const { key, raw } = await findFixture(query);
+
+      if (key === 'default' || raw.coordinates?.lat == null) {
+        return [];
+      }
+
+      return [{
+        id: `fixture:${key}`,
+        name: raw.location?.name || key,
+        region: raw.location?.region || null,
+        country: raw.location?.country || null,
+        lat: raw.coordinates.lat,
+        lon: raw.coordinates.lon
+      }];
+    },
+
+    normalize(raw, query = '') {
+      return createReading({
+        ...raw,
+        location: { name: query, ...raw.location },
+        source: 'fixture',
+        observed_at: raw.observed_at || new Date().toISOString()
+      });
+    }
+  };
+}
+
+/**
+ * Build a deterministic hourly outlook from one reading
+ * Pollution follows a rush-hour pattern, so offline pages still show varied windows.
+ * @param {Object} pollutants - Baseline concentrations
+ * @param {number} days - Number of days
+ * @returns {Array<Object>} Hourly entries
+ */
+function synthesizeHourly(pollutants, days) {
+  const start = new Date();
+  start.setMinutes(0, 0, 0);
+
+  return Array.from({ length: days * 24 }, (_, offset) => {
+    const time = new Date(start.getTime() + offset * 60 * 60 * 1000);
+    const hour = time.getHours();
+    const rushHour = Math.exp(-Math.pow(hour - 8, 2) / 4) + Math.exp(-Math.pow(hour - 18, 2) / 4);
+    const factor = 0.6 + 0.8 * rushHour;
+    const scaled = {};
+
+    POLLUTANTS.forEach(key => {
+      scaled[key] = pollutants[key] != null ? Math.round(pollutants[key] * factor * 10) / 10 : null;
+    });
+
+    return { time: time.toISOString(), pollutants: scaled };
+  });
+}
+
+/**
+ * Provider Registry
+ */
+
+const providers = new Map([
+  [weatherApiProvider.name, weatherApiProvider],
+  [openAqProvider.name, openAqProvider],
+  ['fixture', createFixtureProvider()]
+]);
+
+let activeProviders = ['weatherapi'];
+
+/**
+ * Register (or replace) an air quality provider
+ * @param {Object} provider - Provider with name, fetchCurrent and normalize
+ */
+export function registerAirQualityProvider(provider) {
+  if (!provider?.name || typeof provider.fetchCurrent !== 'function') {
+    throw new Error('Air quality provider must have a name and a fetchCurrent function');
+  }
+
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Get a registered provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|null} Provider or null
+ */
+export function getAirQualityProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * Set which providers checkAirQuality uses, in priority order
+ * @param {Array<string>|string} names - Provider name(s)
+ */
+export function setAirQualityProviders(names) {
+  const list = Array.isArray(names) ? names : [names];
+  const unknown = list.filter(name => !providers.has(name));
+
+  if (unknown.length) {
+    throw new Error(`Unknown air quality provider: ${unknown.join(', ')}`);
+  }
+
+  activeProviders = list;
+}
+
+/**
+ * Get the active provider names, in priority order
+ * @returns {Array<string>} Provider names
+ */
+export function getAirQualityProviders() {
+  return [...activeProviders];
+}
+
+/**
+ * Fetch a normalized reading, trying each provider in order
+ * @param {string} location - Location name or "lat,lon"
+ * @param {Object} options - Fetch options
+ * @param {Array<string>} options.providers - Provider names (defaults to the active list)
+ * @param {boolean} options.combine - Fill pollutants missing from the first reading using the other providers
+ * @returns {Promise<AirQualityReading>} Normalized reading
+ */
+export async function fetchAirQualityReading(location, options = {}) {
+  const { providers: names = activeProviders, combine = false } = options;
+  const readings = [];
+  const errors = [];
+
+  for (const name of names) {
+    const provider = getAirQualityProvider(name);
+
+    if (!provider) {
+      errors.push(new Error(`Unknown air quality provider: ${name}`));
+      continue;
+    }
+
+    try {
+      readings.push(await provider.fetchCurrent(location));
+
+      if (!combine) break;
+    } catch (error) {
+      console.warn(`Air quality provider ${name} failed:`, error);
+      errors.push(error);
+    }
+  }
+
+  if (!readings.length) {
+    throw errors[errors.length - 1] || new Error('No air quality providers configured');
+  }
+
+  return readings.reduce(mergeReadings);
+}
+
+/**
+ * Fetch a normalized forecast from the first active provider that supports forecasts
+ * @param {string} location - Location name or "lat,lon"
+ * @param {Object} options - Fetch options
+ * @param {Array<string>} options.providers - Provider names (defaults to the active list)
+ * @param {number} options.days - Number of days (1-3)
+ * @returns {Promise<AirQualityForecast>} Normalized forecast
+ */
+export async function fetchAirQualityForecast(location, options = {}) {
+  const { providers: names = activeProviders, days = 3 } = options;
+  let lastError = null;
+
+  for (const name of names) {
+    const provider = getAirQualityProvider(name);
+
+    if (typeof provider?.fetchForecast !== 'function') {
+      continue;
+    }
+
+    try {
+      return await provider.fetchForecast(location, days);
+    } catch (error) {
+      console.warn(`Air quality provider ${name} forecast failed:`, error);
+      lastError = error;
+    }
+  }
+
+  throw lastError || new Error('No active air quality provider supports forecasts');
+}
+
+/**
+ * Fill gaps in one reading with values from another
+ * @param {AirQualityReading} primary - Preferred reading
+ * @param {AirQualityReading} secondary - Reading used for missing values
+ * @returns {AirQualityReading} Merged reading
+ */
+export function mergeReadings(primary, secondary) {
+  const pollutants = { ...primary.pollutants };
+
+  POLLUTANTS.forEach(key => {
+    if (pollutants[key] == null && secondary.pollutants[key] != null) {
+      pollutants[key] = secondary.pollutants[key];
+    }
+  });
+
+  const weather = { ...primary.weather };
+
+  Object.keys(weather).forEach(key => {
+    if (weather[key] == null && secondary.weather?.[key] != null) {
+      weather[key] = secondary.weather[key];
+    }
+  });
+
+  const pollen = { ...primary.pollen };
+
+  POLLEN_TYPES.forEach(key => {
+    if (pollen[key] == null && secondary.pollen?.[key] != null) {
+      pollen[key] = secondary.pollen[key];
+    }
+  });
+
+  return {
+    ...primary,
+    coordinates: primary.coordinates.lat != null ? primary.coordinates : secondary.coordinates,
+    pollutants,
+    weather,
+    pollen,
+    aqi: primary.aqi.value != null ? primary.aqi : secondary.aqi,
+    source: primary.source === secondary.source ? primary.source : `${primary.source}+${secondary.source}`
+  };
+}
+
+/**
+ * Check whether a value is already a canonical reading
+ * @param {Object} value - Value to check
+ * @returns {boolean} True if canonical
+ */
+export function isAirQualityReading(value) {
+  return !!value && typeof value.source === 'string' && !!value.pollutants && !!value.aqi;
+}
+
+/**
+ * Helper Functions
+ */
+
+/**
+ * Build a canonical reading with every field present
+ * @param {Object} fields - Partial reading
+ * @returns {AirQualityReading} Canonical reading
+ */
+export function createReading(fields) {
+  const pollutants = {};
+
+  POLLUTANTS.forEach(key => {
+    const value = fields.pollutants?.[key];
+    pollutants[key] = typeof value === 'number' && !Number.isNaN(value) ? value : null;
+  });
+
+  const weather = {};
+
+  WEATHER_FIELDS.forEach(key => {
+    const value = fields.weather?.[key];
+    weather[key] = typeof value === 'number' && !Number.isNaN(value) ? value : null;
+  });
+
+  weather.condition = fields.weather?.condition || null;
+  weather.thunderstorm = typeof fields.weather?.thunderstorm === 'boolean' ? fields.weather.thunderstorm : null;
+
+  const pollen = {};
+
+  POLLEN_TYPES.forEach(key => {
+    const value = fields.pollen?.[key];
+    pollen[key] = typeof value === 'number' && !Number.isNaN(value) ? value : null;
+  });
+
+  return {
+    location: {
+      name: fields.location?.name || null,
+      region: fields.location?.region || null,
+      country: fields.location?.country || null
+    },
+    coordinates: {
+      lat: fields.coordinates?.lat ?? null,
+      lon: fields.coordinates?.lon ?? null
+    },
+    pollutants,
+    aqi: {
+      value: fields.aqi?.value ?? null,
+      scale: fields.aqi?.scale || 'none',
+      category: fields.aqi?.category || null
+    },
+    weather,
+    pollen,
+    source: fields.source,
+    observed_at: fields.observed_at || new Date().toISOString()
+  };
+}
+
+/**
+ * Build a canonical forecast, deriving daily means from the hourly outlook
+ * @param {Object} fields - Partial forecast
+ * @returns {AirQualityForecast} Canonical forecast
+ */
+export function createForecast(fields) {
+  const base = createReading({ ...fields, pollutants: {} });
+
+  const hourly = (fields.hourly || []).map(entry => {
+    const reading = createReading({ ...entry, source: fields.source, observed_at: entry.time });
+    return {
+      time: entry.time,
+      date: entry.date || entry.time.slice(0, 10),
+      pollutants: reading.pollutants,
+      aqi: reading.aqi
+    };
+  });
+
+  const byDate = new Map();
+  hourly.forEach(entry => {
+    if (!byDate.has(entry.date)) byDate.set(entry.date, []);
+    byDate.get(entry.date).push(entry);
+  });
+
+  const daily = [...byDate.entries()].map(([date, entries]) => {
+    const pollutants = {};
+
+    POLLUTANTS.forEach(key => {
+      const values = entries.map(entry => entry.pollutants[key]).filter(value => value != null);
+      pollutants[key] = values.length
+        ? values.reduce((sum, value) => sum + value, 0) / values.length
+        : null;
+    });
+
+    return { date, pollutants, aqi: { value: null, scale: 'none', category: null } };
+  });
+
+  return {
+    location: base.location,
+    coordinates: base.coordinates,
+    hourly,
+    daily,
+    source: fields.source,
+    generated_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Parse a "lat,lon" query string
+ * @param {string} location - Location query
+ * @returns {{lat: number, lon: number}|null} Coordinates or null
+ */
+export function parseCoordinates(location) {
+  const match = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(location);
+  return match ? { lat: parseFloat(match[1]), lon: parseFloat(match[2]) } : null;
+}
+
+/**
+ * Sum per-species pollen counts into groups
+ * @param {Object<string, number>} species - Counts keyed by species name
+ * @param {Object<string, Array<string>>} groups - Species names per pollen type
+ * @returns {Object<string, number|null>} Counts per pollen type
+ */
+function groupPollen(species, groups) {
+  const pollen = {};
+
+  Object.entries(groups).forEach(([type, names]) => {
+    const values = names.map(name => species[name]).filter(value => typeof value === 'number');
+    pollen[type] = values.length ? values.reduce((sum, value) => sum + value, 0) : null;
+  });
+
+  return pollen;
+}
+
+/**
+ * Convert a concentration to µg/m³
+ * @param {string} pollutant - Canonical pollutant key
+ * @param {number} value - Measured value
+ * @param {string} unit - Measurement unit
+ * @returns {number} Concentration in µg/m³
+ */
+function toMicrogramsPerCubicMeter(pollutant, value, unit) {
+  const weight = MOLECULAR_WEIGHTS[pollutant];
+
+  if (!weight || !unit || unit === 'µg/m³' || unit === 'ug/m3') {
+    return value;
+  }
+
+  if (unit === 'ppm') {
+    return value * weight * 1000 / MOLAR_VOLUME;
+  }
+
+  if (unit === 'ppb') {
+    return value * weight / MOLAR_VOLUME;
+  }
+
+  return value;
+}
+
+// Default export
+export default {
+  weatherApiProvider,
+  openAqProvider,
+  createFixtureProvider,
+  registerAirQualityProvider,
+  getAirQualityProvider,
+  setAirQualityProviders,
+  getAirQualityProviders,
+  fetchAirQualityReading,
+  fetchAirQualityForecast,
+  mergeReadings,
+  isAirQualityReading,
+  createReading,
+  createForecast,
+  parseCoordinates
+};
@@ -0,0 +1,374 @@
+/**
+ * AQI Engine - Breakpoint-based air quality index computation
+ * Computes sub-indices from raw pollutant concentrations for several national scales
+ *
+ * Readings carry instantaneous concentrations, so they are used as a proxy for each
+ * scale's official averaging period (24h PM, 8h O3/CO, 1h NO2/SO2).
+ */
+
+import { POLLUTANTS } from './airQualityProviders.js';
+
+// Molecular weights (g/mol) for converting µg/m³ to ppb at 25°C
+const MOLECULAR_WEIGHTS = {
+  o3: 48.00,
+  no2: 46.01,
+  so2: 64.07,
+  co: 28.01
+};
+
+const MOLAR_VOLUME = 24.45;
+
+export const AQI_SCALES = {
+  US_EPA: 'us-epa',
+  UK_DAQI: 'uk-daqi',
+  EU_CAQI: 'eu-caqi',
+  IN_NAQI: 'in-naqi'
+};
+
+export const DEFAULT_AQI_SCALE = AQI_SCALES.US_EPA;
+
+export const POLLUTANT_LABELS = {
+  pm2_5: 'PM2.5',
+  pm10: 'PM10',
+  o3: 'O3',
+  no2: 'NO2',
+  so2: 'SO2',
+  co: 'CO'
+};
+
+/**
+ * Highest US EPA AQI considered comfortable for outdoor activity, by asthma severity
+ * (values match the signup form's asthma_severity options)
+ */
+export const SEVERITY_AQI_THRESHOLDS = {
+  'no-asthma': 100,
+  'mild-intermittent': 100,
+  'mild-persistent': 75,
+  'moderate-persistent': 50,
+  'severe-persistent': 35
+};
+
+const DEFAULT_SEVERITY_THRESHOLD = 50;
+
+/**
+ * Scale definitions
+ * Each breakpoint row is [concentration low, concentration high, index low, index high].
+ * Concentrations are in the unit named by `units` for that pollutant.
+ */
+const SCALES = {
+  [AQI_SCALES.US_EPA]: {
+    label: 'AQI',
+    name: 'US EPA AQI',
+    max: 500,
+    units: { pm2_5: 'µg/m³', pm10: 'µg/m³', o3: 'ppm', no2: 'ppb', so2: 'ppb', co: 'ppm' },
+    // EPA truncation rules before looking up the breakpoint
+    precision: { pm2_5: 1, pm10: 0, o3: 3, no2: 0, so2: 0, co: 1 },
+    breakpoints: {
+      pm2_5: [[0.0, 9.0, 0, 50], [9.1, 35.4, 51, 100], [35.5, 55.4, 101, 150], [55.5, 125.4, 151, 200], [125.5, 225.4, 201, 300], [225.5, 325.4, 301, 500]],
+      pm10: [[0, 54, 0, 50], [55, 154, 51, 100], [155, 254, 101, 150], [255, 354, 151, 200], [355, 424, 201, 300], [425, 604, 301, 500]],
+      // 8-hour O3 up to 0.200 ppm, then the hazardous rows of the 1-hour table
+      o3: [[0.000, 0.054, 0, 50], [0.055, 0.070, 51, 100], [0.071, 0.085, 101, 150], [0.086, 0.105, 151, 200], [0.106, 0.200, 201, 300], [0.405, 0.604, 301, 500]],
+      no2: [[0, 53, 0, 50], [54, 100, 51, 100], [101, 360, 101, 150], [361, 649, 151, 200], [650, 1249, 201, 300], [1250, 2049, 301, 500]],
+      so2: [[0, 35, 0, 50], [36, 75, 51, 100], [76, 185, 101, 150], [186, 304, 151, 200], [305, 604, 201, 300], [605, 1004, 301, 500]],
+      co: [[0.0, 4.4, 0, 50], [4.5, 9.4, 51, 100], [9.5, 12.4, 101, 150], [12.5, 15.4, 151, 200], [15.5, 30.4, 201, 300], [30.5, 50.4, 301, 500]]
+    },
+    categories: [
+      { max: 50, status: 'Good', color: 'green', description: 'Air quality is satisfactory' },
+      { max: 100, status: 'Moderate', color: 'yellow', description: 'Acceptable for most people' },
+      { max: 150, status: 'Unhealthy for Sensitive Groups', color: 'orange', description: 'May cause issues for sensitive individuals' },
+      { max: 200, status: 'Unhealthy', color: 'red', description: 'Health warnings for everyone' },
+      { max: 300, status: 'Very Unhealthy', color: 'purple', description: 'Health alert: everyone may experience serious effects' },
+      { max: Infinity, status: 'Hazardous', color: 'maroon', description: 'Emergency conditions' }
+    ]
+  },
+
+  [AQI_SCALES.UK_DAQI]: {
+    label: 'DAQI',
+    name: 'UK Daily Air Quality Index',
+    max: 10,
+    banded: true,
+    units: { pm2_5: 'µg/m³', pm10: 'µg/m³', o3: 'µg/m³', no2: 'µg/m³', so2: 'µg/m³' },
+    precision: { pm2_5: 0, pm10: 0, o3: 0, no2: 0, so2: 0 },
+    // Upper bound of bands 1-9; anything above is band 10
+    bands: {
+      o3: [33, 66, 100, 120, 140, 160, 187, 213, 240],
+      no2: [67, 134, 200, 267, 334, 400, 467, 534, 600],
+      so2: [88, 177, 266, 354, 443, 532, 710, 887, 1064],
+      pm2_5: [11, 23, 35, 41, 47, 53, 58, 64, 70],
+      pm10: [16, 33, 50, 58, 66, 75, 83, 91, 100]
+    },
+    categories: [
+      { max: 3, status: 'Low', color: 'green', description: 'Enjoy your usual outdoor activities' },
+      { max: 6, status: 'Moderate', color: 'yellow', description: 'Sensitive individuals should consider reducing strenuous activity' },
+      { max: 9, status: 'High', color: 'red', description: 'Reduce strenuous physical exertion, particularly outdoors' },
+      { max: Infinity, status: 'Very High', color: 'purple', description: 'Everyone should reduce physical exertion' }
+    ]
+  },
+
+  [AQI_SCALES.EU_CAQI]: {
+    label: 'CAQI',
+    name: 'Common Air Quality Index (EU)',
+    max: null,
+    units: { pm2_5: 'µg/m³', pm10: 'µg/m³', o3: 'µg/m³', no2: 'µg/m³', so2: 'µg/m³', co: 'µg/m³' },
+    precision: { pm2_5: 0, pm10: 0, o3: 0, no2: 0, so2: 0, co: 0 },
+    // Hourly background grid; values above the last row extrapolate past 100
+    breakpoints: {
+      no2: [[0, 50, 0, 25], [50, 100, 25, 50], [100, 200, 50, 75], [200, 400, 75, 100]],
+      pm10: [[0, 25, 0, 25], [25, 50, 25, 50], [50, 90, 50, 75], [90, 180, 75, 100]],
+      pm2_5: [[0, 15, 0, 25], [15, 30, 25, 50], [30, 55, 50, 75], [55, 110, 75, 100]],
+      o3: [[0, 60, 0, 25], [60, 120, 25, 50], [120, 180, 50, 75], [180, 240, 75, 100]],
+      co: [[0, 5000, 0, 25], [5000, 7500, 25, 50], [7500, 10000, 50, 75], [10000, 20000, 75, 100]],
+      so2: [[0, 50, 0, 25], [50, 100, 25, 50], [100, 350, 50, 75], [350, 500, 75, 100]]
+    },
+    categories: [
+      { max: 25, status: 'Very Low', color: 'green', description: 'Air quality is very good' },
+      { max: 50, status: 'Low', color: 'green', description: 'Air quality is good' },
+      { max: 75, status: 'Medium', color: 'yellow', description: 'Sensitive individuals may notice effects' },
+      { max: 100, status: 'High', color: 'orange', description: 'Sensitive individuals should limit outdoor activity' },
+      { max: Infinity, status: 'Very High', color: 'red', description: 'Everyone should limit outdoor activity' }
+    ]
+  },
+
+  [AQI_SCALES.IN_NAQI]: {
+    label: 'AQI',
+    name: 'India National AQI',
+    max: 500,
+    units: { pm2_5: 'µg/m³', pm10: 'µg/m³', o3: 'µg/m³', no2: 'µg/m³', so2: 'µg/m³', co: 'mg/m³' },
+    precision: { pm2_5: 0, pm10: 0, o3: 0, no2: 0, so2: 0, co: 1 },
+    // The open-ended "Severe" band is closed at a conventional upper concentration
+    breakpoints: {
+      pm10: [[0, 50, 0, 50], [51, 100, 51, 100], [101, 250, 101, 200], [251, 350, 201, 300], [351, 430, 301, 400], [431, 600, 401, 500]],
+      pm2_5: [[0, 30, 0, 50], [31, 60, 51, 100], [61, 90, 101, 200], [91, 120, 201, 300], [121, 250, 301, 400], [251, 500, 401, 500]],
+      no2: [[0, 40, 0, 50], [41, 80, 51, 100], [81, 180, 101, 200], [181, 280, 201, 300], [281, 400, 301, 400], [401, 800, 401, 500]],
+      o3: [[0, 50, 0, 50], [51, 100, 51, 100], [101, 168, 101, 200], [169, 208, 201, 300], [209, 748, 301, 400], [749, 1000, 401, 500]],
+      co: [[0, 1.0, 0, 50], [1.1, 2.0, 51, 100], [2.1, 10, 101, 200], [10.1, 17, 201, 300], [17.1, 34, 301, 400], [34.1, 50, 401, 500]],
+      so2: [[0, 40, 0, 50], [41, 80, 51, 100], [81, 380, 101, 200], [381, 800, 201, 300], [801, 1600, 301, 400], [1601, 2000, 401, 500]]
+    },
+    categories: [
+      { max: 50, status: 'Good', color: 'green', description: 'Minimal impact' },
+      { max: 100, status: 'Satisfactory', color: 'green', description: 'Minor breathing discomfort to sensitive people' },
+      { max: 200, status: 'Moderate', color: 'yellow', description: 'Breathing discomfort to people with asthma' },
+      { max: 300, status: 'Poor', color: 'orange', description: 'Breathing discomfort to most people on prolonged exposure' },
+      { max: 400, status: 'Very Poor', color: 'red', description: 'Respiratory illness on prolonged exposure' },
+      { max: Infinity, status: 'Severe', color: 'maroon', description: 'Serious impact on people with existing diseases' }
+    ]
+  }
+};
+
+// Provider-reported US EPA bands (1-6), used when no concentrations are available
+const US_EPA_BAND_CATEGORIES = SCALES[AQI_SCALES.US_EPA].categories;
+
+/**
+ * Check whether a scale is supported
+ * @param {string} scale - Scale identifier
+ * @returns {boolean} True if supported
+ */
+export function isSupportedAqiScale(scale) {
+  return Object.prototype.hasOwnProperty.call(SCALES, scale);
+}
+
+/**
+ * Get display information for a scale
+ * @param {string} scale - Scale identifier
+ * @returns {{label: string, name: string, max: number|null}} Scale information
+ */
+export function getAqiScaleInfo(scale) {
+  const definition = SCALES[scale] || SCALES[DEFAULT_AQI_SCALE];
+  return { label: definition.label, name: definition.name, max: definition.max };
+}
+
+/**
+ * Calculate the sub-index for one pollutant
+ * @param {string} pollutant - Canonical pollutant key (pm2_5, pm10, o3, no2, so2, co)
+ * @param {number} concentration - Concentration in µg/m³
+ * @param {string} scale - Scale identifier
+ * @returns {number|null} Sub-index, or null if the scale does not cover the pollutant
+ */
+export function calculateSubIndex(pollutant, concentration, scale = DEFAULT_AQI_SCALE) {
+  const definition = SCALES[scale];
+
+  if (!definition) {
+    throw new Error(`Unsupported AQI scale: ${scale}`);
+  }
+
+  if (concentration == null || Number.isNaN(concentration) || !definition.units[pollutant]) {
+    return null;
+  }
+
+  const value = truncate(
+    convertConcentration(pollutant, Math.max(0, concentration), definition.units[pollutant]),
+    definition.precision[pollutant]
+  );
+
+  if (definition.banded) {
+    const bands = definition.bands[pollutant];
+    const index = bands.findIndex(upper => value <= upper);
+    return index === -1 ? bands.length + 1 : index + 1;
+  }
+
+  return interpolate(value, definition.breakpoints[pollutant], definition.max);
+}
+
+/**
+ * Calculate the overall index from a set of concentrations
+ * @param {Object<string, number|null>} pollutants - Concentrations in µg/m³
+ * @param {string} scale - Scale identifier
+ * @returns {Object|null} Index result, or null if no pollutant could be scored
+ */
+export function calculateAqi(pollutants, scale = DEFAULT_AQI_SCALE) {
+  const subIndices = {};
+  let dominant = null;
+
+  POLLUTANTS.forEach(pollutant => {
+    const subIndex = calculateSubIndex(pollutant, pollutants?.[pollutant], scale);
+    if (subIndex == null) return;
+
+    subIndices[pollutant] = subIndex;
+
+    if (!dominant || subIndex > subIndices[dominant]) {
+      dominant = pollutant;
+    }
+  });
+
+  if (!dominant) {
+    return null;
+  }
+
+  const value = subIndices[dominant];
+  const category = getAqiCategory(value, scale);
+
+  return {
+    value,
+    scale,
+    category: category.status,
+    color: category.color,
+    dominant_pollutant: dominant,
+    sub_indices: subIndices
+  };
+}
+
+/**
+ * Get the category for an index value
+ * @param {number} value - Index value
+ * @param {string} scale - Scale identifier (or 'us-epa-band' for provider-reported 1-6 bands)
+ * @returns {{status: string, color: string, description: string}} Category
+ */
+export function getAqiCategory(value, scale = DEFAULT_AQI_SCALE) {
+  if (scale === 'us-epa-band') {
+    const band = Math.min(Math.max(Math.round(value), 1), US_EPA_BAND_CATEGORIES.length);
+    const { max, ...category } = US_EPA_BAND_CATEGORIES[band - 1];
+    return category;
+  }
+
+  const definition = SCALES[scale] || SCALES[DEFAULT_AQI_SCALE];
+  const { max, ...category } = definition.categories.find(entry => value <= entry.max);
+  return category;
+}
+
+/**
+ * Get the highest US EPA AQI a provider-reported band can stand for
+ * @param {number} band - US EPA band (1-6)
+ * @returns {number} Upper bound of the band's AQI range
+ */
+export function getAqiBandUpperBound(band) {
+  const index = Math.min(Math.max(Math.round(band), 1), US_EPA_BAND_CATEGORIES.length) - 1;
+  return Math.min(US_EPA_BAND_CATEGORIES[index].max, SCALES[AQI_SCALES.US_EPA].max);
+}
+
+/**
+ * Get the US EPA AQI threshold for an asthma severity
+ * @param {string} severity - asthma_severity value from user_profiles
+ * @returns {number} Highest comfortable AQI
+ */
+export function getSeverityAqiThreshold(severity) {
+  return SEVERITY_AQI_THRESHOLDS[severity] ?? DEFAULT_SEVERITY_THRESHOLD;
+}
+
+/**
+ * Replace a reading's AQI with one computed from its concentrations
+ * Readings without usable concentrations keep their provider-reported index.
+ * @param {AirQualityReading} reading - Normalized reading
+ * @param {string} scale - Scale identifier
+ * @returns {AirQualityReading} Reading with computed AQI
+ */
+export function applyAqi(reading, scale = DEFAULT_AQI_SCALE) {
+  const aqi = calculateAqi(reading.pollutants, isSupportedAqiScale(scale) ? scale : DEFAULT_AQI_SCALE);
+
+  if (!aqi) {
+    return reading;
+  }
+
+  return { ...reading, aqi };
+}
+
+/**
+ * Helper Functions
+ */
+
+/**
+ * Convert a µg/m³ concentration into the unit a scale expects
+ * @param {string} pollutant - Canonical pollutant key
+ * @param {number} value - Concentration in µg/m³
+ * @param {string} unit - Target unit
+ * @returns {number} Converted concentration
+ */
+function convertConcentration(pollutant, value, unit) {
+  switch (unit) {
+    case 'ppb':
+      return value * MOLAR_VOLUME / MOLECULAR_WEIGHTS[pollutant];
+    case 'ppm':
+      return value * MOLAR_VOLUME / MOLECULAR_WEIGHTS[pollutant] / 1000;
+    case 'mg/m³':
+      return value / 1000;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Truncate (not round) to a number of decimal places
+ * @param {number} value - Value
+ * @param {number} digits - Decimal places
+ * @returns {number} Truncated value
+ */
+function truncate(value, digits = 0) {
+  const factor = Math.pow(10, digits);
+  return Math.floor(value * factor + 1e-9) / factor;
+}
+
+/**
+ * Linear interpolation between breakpoints
+ * @param {number} value - Concentration
+ * @param {Array<Array<number>>} breakpoints - Breakpoint rows
+ * @param {number|null} max - Upper index limit, or null to extrapolate
+ * @returns {number} Rounded index
+ */
+function interpolate(value, breakpoints, max) {
+  let row = breakpoints.find(([, high]) => value <= high);
+
+  if (!row) {
+    if (max != null) return max;
+    row = breakpoints[breakpoints.length - 1];
+  }
+
+  // Values in the gap between truncated rows fall to the next row's low end
+  const [cLow, cHigh, iLow, iHigh] = row;
+  const clamped = Math.max(value, cLow);
+  return Math.round(((iHigh - iLow) / (cHigh - cLow)) * (clamped - cLow) + iLow);
+}
+
+// Default export
+export default {
+  AQI_SCALES,
+  DEFAULT_AQI_SCALE,
+  POLLUTANT_LABELS,
+  SEVERITY_AQI_THRESHOLDS,
+  isSupportedAqiScale,
+  getAqiScaleInfo,
+  calculateSubIndex,
+  calculateAqi,
+  getAqiCategory,
+  getAqiBandUpperBound,
+  getSeverityAqiThreshold,
+  applyAqi
+};
@@ -0,0 +1,160 @@
+/**
+ * Chat Attachments - Images and PDFs shared with the AI health assistant
+ * Files are stored in the private chat-attachments bucket under the user's own folder
+ * ({user_id}/{session_id}/...). Text is extracted from PDFs in the browser so the
+ * assistant can read them; images are stored and shown but not sent to the model.
+ */
+
+import { supabase, STORAGE_BUCKETS, validateFile } from '../../config/supabase.js';
+import { extractPdfText } from './documentText.js';
+
+export const CHAT_ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'application/pdf'];
+export const CHAT_ATTACHMENT_MAX_SIZE = 10 * 1024 * 1024;
+
+// Extracted text sent to the model; longer documents are cut off with a note
+const MAX_EXTRACTED_CHARS = 12000;
+const MAX_PDF_PAGES = 20;
+
+// Signed URLs for showing attachments in the chat
+const SIGNED_URL_SECONDS = 60 * 60;
+
+/**
+ * Chat attachment
+ * @typedef {Object} ChatAttachment
+ * @property {string} path - Object path in the chat-attachments bucket
+ * @property {string} name - Original file name
+ * @property {string} type - MIME type
+ * @property {number} size - Size in bytes
+ * @property {string} text - Extracted text (PDFs only)
+ * @property {boolean} truncated - Whether the extracted text was cut off
+ * @property {number} pages - Page count (PDFs only)
+ */
+
+/**
+ * Upload a chat attachment
+ * @param {File} file - Image or PDF
+ * @param {Object} options - Options
+ * @param {string} options.sessionId - Chat session the file belongs to
+ * @returns {Promise<Object>} Result with the ChatAttachment or error
+ */
+export async function uploadChatAttachment(file, options = {}) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    const validation = validateFile(file, {
+      maxSize: CHAT_ATTACHMENT_MAX_SIZE,
+      allowedTypes: CHAT_ATTACHMENT_TYPES
+    });
+
+    if (!validation.valid) {
+      throw new Error(validation.errors.join('. '));
+    }
+
+    const extracted = file.type === 'application/pdf' ? await extractAttachmentText(file) : null;
+
+    const fileExtension = file.name.split('.').pop().toLowerCase();
+    const path = `${user.id}/${options.sessionId || 'unsorted'}/${Date.now()}_${Math.random().toString(36).substring(2, 15)}.${fileExtension}`;
+
+    const { error: uploadError } = await supabase.storage
+      .from(STORAGE_BUCKETS.CHAT_ATTACHMENTS)
+      .upload(path, file, { contentType: file.type });
+
+    if (uploadError) {
+      throw uploadError;
+    }
+
+    console.log('✅ Chat attachment uploaded');
+    return {
+      data: {
+        path,
+        name: file.name,
+        type: file.type,
+        size: file.size,
+        ...(extracted || {})
+      },
+      error: null
+    };
+
+  } catch (error) {
+    console.error('❌ Chat attachment upload failed:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Get a temporary link to an attachment
+ * @param {string} path - Object path from the ChatAttachment
+ * @returns {Promise<string|null>} Signed URL, or null if it couldn't be created
+ */
+export async function getChatAttachmentUrl(path) {
+  try {
+    const { data, error } = await supabase.storage
+      .from(STORAGE_BUCKETS.CHAT_ATTACHMENTS)
+      .createSignedUrl(path, SIGNED_URL_SECONDS);
+
+    if (error) {
+      throw error;
+    }
+
+    return data.signedUrl;
+
+  } catch (error) {
+    console.error('Failed to create chat attachment link:', error);
+    return null;
+  }
+}
+
+/**
+ * Delete an attachment that was uploaded but not sent
+ * @param {string} path - Object path from the ChatAttachment
+ * @returns {Promise<Object>} Result with error if any
+ */
+export async function removeChatAttachment(path) {
+  try {
+    const { error } = await supabase.storage
+      .from(STORAGE_BUCKETS.CHAT_ATTACHMENTS)
+      .remove([path]);
+
+    if (error) {
+      throw error;
+    }
+
+    return { error: null };
+
+  } catch (error) {
+    console.error('❌ Chat attachment removal failed:', error);
+    return { error };
+  }
+}
+
+/**
+ * Helper Functions
+ */
+
+/**
+ * Extract the text layer of a PDF for the assistant
+ * Scanned PDFs without a text layer give empty text.
+ * @param {File} file - PDF file
+ * @returns {Promise<Object>} {text, truncated, pages}
+ */
+async function extractAttachmentText(file) {
+  try {
+    return await extractPdfText(file, { maxChars: MAX_EXTRACTED_CHARS, maxPages: MAX_PDF_PAGES });
+
+  } catch (error) {
+    console.error('Failed to extract PDF text:', error);
+    // Don't throw - the file is still stored and shown, just not readable by the assistant
+    return { text: '', truncated: false, pages: null };
+  }
+}
+
+// Default export
+export default {
+  uploadChatAttachment,
+  getChatAttachmentUrl,
+  removeChatAttachment
+};
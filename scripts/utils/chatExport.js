@@ -0,0 +1,241 @@
+/**
+ * Chat Export - Save a chat session as Markdown or PDF to share with a doctor
+ * Exports include each question and answer with its time, attached file names and the
+ * actions taken from chat. PDFs are built in the browser with jsPDF.
+ */
+
+import { getSessionMessages } from './chatSessions.js';
+
+export const CHAT_EXPORT_FORMATS = ['markdown', 'pdf'];
+
+// jsPDF copied from node_modules (npm run vendor), only loaded the first time a PDF is exported
+const JSPDF_URL = new URL('../../vendor/jspdf/jspdf.umd.min.js', import.meta.url).href;
+
+// Turns included in an export
+const MAX_EXPORT_TURNS = 1000;
+
+const DISCLAIMER = 'Conversation with the AsthmaCare AI assistant. The assistant\'s answers are general information, not medical advice.';
+
+const PDF_MARGIN = 48;
+const PDF_FONT_SIZE = 10;
+const PDF_LINE_HEIGHT = 14;
+
+let jspdfPromise = null;
+
+/**
+ * Export a chat session
+ * @param {Object} session - Session with id and title (see getChatSessions)
+ * @param {string} format - 'markdown' or 'pdf'
+ * @returns {Promise<Object>} Result with {filename, blob} or error
+ */
+export async function exportChatSession(session, format = 'markdown') {
+  try {
+    if (!CHAT_EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const turns = await getSessionMessages(session.id, MAX_EXPORT_TURNS);
+
+    if (!turns.length) {
+      throw new Error('This conversation has no messages to export');
+    }
+
+    const basename = `asthmacare-chat-${slugify(session.title)}-${new Date().toISOString().slice(0, 10)}`;
+    const blob = format === 'pdf'
+      ? await sessionToPdf(session, turns)
+      : new Blob([sessionToMarkdown(session, turns)], { type: 'text/markdown;charset=utf-8' });
+
+    console.log(`✅ Chat session exported as ${format}`);
+    return {
+      data: { filename: `${basename}.${format === 'pdf' ? 'pdf' : 'md'}`, blob },
+      error: null
+    };
+
+  } catch (error) {
+    console.error('❌ Chat export failed:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Format a session as Markdown
+ * @param {Object} session - Session with title
+ * @param {Array} turns - chat_history rows, oldest first
+ * @returns {string} Markdown document
+ */
+export function sessionToMarkdown(session, turns) {
+  const lines = [
+    `# ${session.title || 'Chat'}`,
+    '',
+    `_${DISCLAIMER} Exported ${formatTimestamp(new Date().toISOString())}._`,
+    ''
+  ];
+
+  turns.forEach(turn => {
+    const { attachments, actions } = describeTurnDetails(turn);
+
+    lines.push(`## ${formatTimestamp(turn.created_at)}`, '');
+    lines.push('**You:**', '', quoteMarkdown(turn.user_message), '');
+
+    if (attachments) {
+      lines.push(`_Attached: ${attachments}_`, '');
+    }
+
+    lines.push('**Assistant:**', '', quoteMarkdown(turn.ai_response), '');
+
+    if (actions) {
+      lines.push(`_Actions: ${actions}_`, '');
+    }
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Helper Functions
+ */
+
+/**
+ * Format a session as a PDF
+ * @param {Object} session - Session with title
+ * @param {Array} turns - chat_history rows, oldest first
+ * @returns {Promise<Blob>} PDF file
+ */
+async function sessionToPdf(session, turns) {
+  const { jsPDF } = await loadJspdf();
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const width = doc.internal.pageSize.getWidth() - PDF_MARGIN * 2;
+  let y = PDF_MARGIN;
+
+  const write = (text, { style = 'normal', size = PDF_FONT_SIZE, gap = 0 } = {}) => {
+    doc.setFont('helvetica', style);
+    doc.setFontSize(size);
+
+    for (const line of doc.splitTextToSize(toPdfText(text), width)) {
+      if (y + PDF_LINE_HEIGHT > pageHeight - PDF_MARGIN) {
+        doc.addPage();
+        y = PDF_MARGIN;
+      }
+
+      doc.text(line, PDF_MARGIN, y);
+      y += size > PDF_FONT_SIZE ? size + 4 : PDF_LINE_HEIGHT;
+    }
+
+    y += gap;
+  };
+
+  write(session.title || 'Chat', { style: 'bold', size: 16, gap: 4 });
+  write(`${DISCLAIMER} Exported ${formatTimestamp(new Date().toISOString())}.`, { style: 'italic', gap: 12 });
+
+  turns.forEach(turn => {
+    const { attachments, actions } = describeTurnDetails(turn);
+
+    write(formatTimestamp(turn.created_at), { style: 'bold', gap: 4 });
+    write('You:', { style: 'bold' });
+    write(turn.user_message, { gap: 4 });
+
+    if (attachments) {
+      write(`Attached: ${attachments}`, { style: 'italic', gap: 4 });
+    }
+
+    write('Assistant:', { style: 'bold' });
+    write(turn.ai_response, { gap: 4 });
+
+    if (actions) {
+      write(`Actions: ${actions}`, { style: 'italic', gap: 4 });
+    }
+
+    y += 8;
+  });
+
+  return doc.output('blob');
+}
+
+/**
+ * Summarize a turn's attachments and actions from message_metadata
+ * @param {Object} turn - chat_history row
+ * @returns {Object} {attachments, actions} as text, or null when there are none
+ */
+function describeTurnDetails(turn) {
+  const metadata = turn.message_metadata || {};
+
+  return {
+    attachments: metadata.attachments?.length
+      ? metadata.attachments.map(attachment => attachment.name).join(', ')
+      : null,
+    actions: metadata.tool_calls?.length
+      ? metadata.tool_calls.map(call => `${call.name.replace(/_/g, ' ')} (${call.status})`).join(', ')
+      : null
+  };
+}
+
+/**
+ * Quote text as a Markdown blockquote so its own markup stays inside the turn
+ * @param {string} text - Message text
+ * @returns {string} Blockquote
+ */
+function quoteMarkdown(text) {
+  return (text || '').split('\n').map(line => `> ${line}`).join('\n');
+}
+
+/**
+ * Keep only characters the built-in PDF fonts can draw (Latin-1 and common punctuation)
+ * @param {string} text - Text
+ * @returns {string} Printable text
+ */
+function toPdfText(text) {
+  return (text || '')
+    .replace(/[\u2018\u2019]/g, '\'')
+    .replace(/[\u201c\u201d]/g, '"')
+    .replace(/[^\t\n\r\x20-\x7e\u00a0-\u00ff\u2013\u2014\u2022\u2026]/gu, '')
+    .replace(/[ \t]+\n/g, '\n');
+}
+
+/**
+ * Format a timestamp for the export
+ * @param {string} value - ISO 8601 date-time
+ * @returns {string} Local date and time
+ */
+function formatTimestamp(value) {
+  return new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Turn a session title into a filename part
+ * @param {string} title - Session title
+ * @returns {string} Lowercase, dash-separated text
+ */
+function slugify(title) {
+  return (title || 'chat')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40) || 'chat';
+}
+
+/**
+ * Load jsPDF once
+ * The browser build is a UMD bundle, which sets window.jspdf rather than exporting anything.
+ * @returns {Promise<Object>} jsPDF module
+ */
+function loadJspdf() {
+  if (!jspdfPromise) {
+    jspdfPromise = import(JSPDF_URL)
+      .then(() => window.jspdf)
+      .catch(error => {
+        jspdfPromise = null;
+        throw error;
+      });
+  }
+
+  return jspdfPromise;
+}
+
+// Default export
+export default {
+  exportChatSession,
+  sessionToMarkdown
+};
@@ -0,0 +1,342 @@
+/**
+ * Chat Health Context - Compact summary of the user's own record for the AI assistant
+ * Only sent when the user has opted in via the chat_personalization preference.
+ * Built from an allow-list of fields: names, contact details, dates of birth, free-text
+ * notes, doctor names, appointment reasons and place names never leave the browser.
+ */
+
+import { supabase } from '../../config/supabase.js';
+import {
+  getCurrentUserProfile,
+  getSymptomHistory,
+  getMedicationHistory,
+  getAppointments,
+  getSavedLocations,
+  checkAirQuality,
+  updateUserPreferences
+} from './api.js';
+
+export const CHAT_PERSONALIZATION_PREFERENCE = 'chat_personalization';
+
+// How far back symptoms and medication use are summarized
+const RECENT_DAYS = 14;
+
+// Reuse a summary for this long so every message doesn't refetch the whole record
+const CACHE_MINUTES = 5;
+
+const MAX_LISTED_ITEMS = 3;
+const MAX_LABEL_LENGTH = 40;
+
+let cachedContext = null;
+
+/**
+ * Whether the current user has opted in to personalized chat
+ * @returns {Promise<boolean>} True if signed in and opted in
+ */
+export async function isChatPersonalizationEnabled() {
+  const profile = await getCurrentUserProfile('preferences');
+  return profile?.preferences?.[CHAT_PERSONALIZATION_PREFERENCE] === true;
+}
+
+/**
+ * Opt in to or out of personalized chat
+ * @param {boolean} enabled - Whether to share the health summary with the assistant
+ * @returns {Promise<Object>} Update result
+ */
+export async function setChatPersonalization(enabled) {
+  cachedContext = null;
+  return updateUserPreferences({ [CHAT_PERSONALIZATION_PREFERENCE]: !!enabled });
+}
+
+/**
+ * Get the health summary to add to the chat prompt
+ * @param {Object} options - Options
+ * @param {boolean} options.refresh - Ignore the cached summary
+ * @param {AirQualityReading} options.airQuality - Reading the page already shows; it is sent to
+ *   the assistant separately, so the summary then leaves air quality out. Without it, the
+ *   current reading for the user's saved home location is included.
+ * @returns {Promise<string|null>} System message text, or null when signed out, opted out
+ *   or nothing is recorded
+ */
+export async function getChatHealthContext(options = {}) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) {
+      return null;
+    }
+
+    const record = !options.refresh && cachedContext?.userId === user.id && cachedContext.expiresAt > Date.now()
+      ? cachedContext.record
+      : await loadHealthRecord(user.id);
+
+    if (!record) {
+      return null;
+    }
+
+    // Air quality has its own cache in checkAirQuality, so only the record is cached here
+    const airQuality = options.airQuality ? null : await getHomeAirQuality();
+
+    return summarizeHealthContext({ ...record, airQuality });
+
+  } catch (error) {
+    console.error('Failed to build chat health context:', error);
+    // Don't throw - the assistant can still answer without it
+    return null;
+  }
+}
+
+/**
+ * Drop the cached summary, e.g. after logging a symptom
+ */
+export function clearChatHealthContext() {
+  cachedContext = null;
+}
+
+/**
+ * Turn record data into the prompt summary
+ * @param {Object} data - Record data
+ * @param {Object} data.profile - user_profiles row (asthma_severity, age_group)
+ * @param {Object} data.summary - get_user_health_summary result
+ * @param {Array} data.symptoms - Recent symptoms
+ * @param {Array} data.medications - Recent medication log entries
+ * @param {Array} data.appointments - Upcoming appointments, soonest first
+ * @param {AirQualityReading} data.airQuality - Current reading at the user's home, if known
+ * @returns {string|null} Summary text, or null when there is nothing to share
+ */
+export function summarizeHealthContext({ profile = {}, summary = {}, symptoms = [], medications = [], appointments = [], airQuality = null }) {
+  const lines = [
+    describeProfile(profile),
+    describeSymptoms(symptoms),
+    describeMedications(medications),
+    describeAppointments(appointments, summary?.upcoming_appointments),
+    describeAirQuality(airQuality)
+  ].filter(Boolean);
+
+  if (!lines.length) {
+    return null;
+  }
+
+  return [
+    'About this user (shared with their consent). Use it to make advice specific to them, but do not recite it back unless asked:',
+    ...lines.map(line => `- ${line}`),
+    'This is not a full medical record; ask before assuming anything not listed.'
+  ].join('\n');
+}
+
+/**
+ * Helper Functions
+ */
+
+/**
+ * Fetch the parts of the record the summary is built from, and cache them
+ * @param {string} userId - Signed-in user's ID
+ * @returns {Promise<Object|null>} Record data for summarizeHealthContext, or null if the user
+ *   hasn't opted in
+ */
+async function loadHealthRecord(userId) {
+  const profile = await getCurrentUserProfile('asthma_severity, age_group, preferences');
+
+  if (profile?.preferences?.[CHAT_PERSONALIZATION_PREFERENCE] !== true) {
+    return null;
+  }
+
+  const since = new Date(Date.now() - RECENT_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const [summary, symptoms, medications, appointments] = await Promise.all([
+    supabase.rpc('get_user_health_summary', { user_uuid: userId }).then(({ data, error }) => {
+      if (error) throw error;
+      return data;
+    }),
+    getSymptomHistory({ startDate: since }),
+    getMedicationHistory({ limit: 100 }),
+    getAppointments({ upcoming: true })
+  ]);
+
+  const record = {
+    profile,
+    summary,
+    symptoms,
+    medications: medications.filter(entry => entry.taken_at >= since),
+    appointments: appointments.filter(appointment => appointment.status !== 'cancelled')
+  };
+
+  cachedContext = { userId, record, expiresAt: Date.now() + CACHE_MINUTES * 60 * 1000 };
+  return record;
+}
+
+/**
+ * Describe asthma severity and age group
+ * @param {Object} profile - Profile columns
+ * @returns {string|null} Line
+ */
+function describeProfile(profile) {
+  const parts = [
+    profile?.asthma_severity ? `asthma severity ${cleanLabel(profile.asthma_severity)}` : null,
+    profile?.age_group ? `age group ${cleanLabel(profile.age_group)}` : null
+  ].filter(Boolean);
+
+  return parts.length ? capitalize(parts.join(', ')) : null;
+}
+
+/**
+ * Describe recent symptoms by type, severity and noted triggers
+ * @param {Array} symptoms - Symptom rows
+ * @returns {string} Line
+ */
+function describeSymptoms(symptoms) {
+  if (!symptoms.length) {
+    return `No symptoms logged in the last ${RECENT_DAYS} days`;
+  }
+
+  const days = new Set(symptoms.map(symptom => symptom.recorded_at.slice(0, 10))).size;
+  const averageSeverity = symptoms.reduce((sum, symptom) => sum + symptom.severity, 0) / symptoms.length;
+  const types = topCounts(symptoms.map(symptom => symptom.symptom_type));
+  const triggers = topCounts(symptoms.flatMap(symptom => symptom.triggers || []));
+
+  return [
+    `Last ${RECENT_DAYS} days: ${symptoms.length} symptom entries on ${days} day${days === 1 ? '' : 's'}`,
+    `average severity ${averageSeverity.toFixed(1)}/5`,
+    `most common ${types.map(([type, count]) => `${type} (${count})`).join(', ')}`,
+    triggers.length ? `triggers noted ${triggers.map(([trigger]) => trigger).join(', ')}` : null
+  ].filter(Boolean).join('; ');
+}
+
+/**
+ * Describe medication use by type and the medications involved
+ * @param {Array} medications - Medication log rows
+ * @returns {string|null} Line
+ */
+function describeMedications(medications) {
+  if (!medications.length) {
+    return null;
+  }
+
+  const byType = topCounts(medications.map(entry => entry.medication_type || 'other'), Infinity);
+  const names = topCounts(medications.map(entry => entry.medication_name));
+
+  return [
+    `Medication use in the last ${RECENT_DAYS} days: ${byType.map(([type, count]) => `${type} ${count}x`).join(', ')}`,
+    `medications ${names.map(([name]) => name).join(', ')}`
+  ].join('; ');
+}
+
+/**
+ * Describe the next appointment by type and date only
+ * @param {Array} appointments - Upcoming appointments, soonest first
+ * @param {number} upcomingCount - Upcoming appointment count from the summary RPC
+ * @returns {string|null} Line
+ */
+function describeAppointments(appointments, upcomingCount) {
+  const next = appointments[0];
+
+  if (!next) {
+    return upcomingCount ? `${upcomingCount} upcoming appointment${upcomingCount === 1 ? '' : 's'}` : null;
+  }
+
+  const days = Math.round((new Date(`${next.appointment_date}T00:00:00`) - startOfToday()) / (24 * 60 * 60 * 1000));
+  const when = days === 0 ? 'today' : days === 1 ? 'tomorrow' : `in ${days} days`;
+  const total = upcomingCount ?? appointments.length;
+
+  return `Next appointment: ${cleanLabel(next.appointment_type)} ${when} (${next.appointment_date})${total > 1 ? `, ${total} upcoming in total` : ''}`;
+}
+
+/**
+ * Describe current air quality at home by the numbers only (the place name is left out)
+ * @param {AirQualityReading} reading - Reading from checkAirQuality
+ * @returns {string|null} Line
+ */
+function describeAirQuality(reading) {
+  if (reading?.aqi?.value == null) {
+    return null;
+  }
+
+  const risk = reading.trigger_risk;
+
+  return [
+    `Air quality at home now: AQI ${reading.aqi.value} (${reading.aqi.category})`,
+    risk ? `asthma trigger risk ${risk.label} (${risk.score}/100)` : null
+  ].filter(Boolean).join('; ');
+}
+
+/**
+ * Get the current reading for the user's saved home location
+ * @returns {Promise<AirQualityReading|null>} Reading, or null if no home is saved or the
+ *   lookup fails
+ */
+async function getHomeAirQuality() {
+  try {
+    const home = (await getSavedLocations()).find(location => location.label === 'home');
+
+    if (!home) {
+      return null;
+    }
+
+    return await checkAirQuality(home.latitude != null && home.longitude != null
+      ? { lat: Number(home.latitude), lon: Number(home.longitude) }
+      : home.query);
+
+  } catch (error) {
+    console.error('Failed to get home air quality for chat:', error);
+    return null;
+  }
+}
+
+/**
+ * Count values and keep the most frequent ones
+ * @param {Array<string>} values - Raw labels
+ * @param {number} limit - How many to keep
+ * @returns {Array<Array>} [label, count] pairs, most frequent first
+ */
+function topCounts(values, limit = MAX_LISTED_ITEMS) {
+  const counts = new Map();
+
+  values.map(cleanLabel).filter(Boolean).forEach(value => {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, limit);
+}
+
+/**
+ * Normalize a short user-entered label, dropping anything that looks like contact details
+ * @param {string} value - Label
+ * @returns {string|null} Clean label, or null if it shouldn't be shared
+ */
+function cleanLabel(value) {
+  const text = String(value ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+  if (!text || text.includes('@') || /\d{5,}/.test(text.replace(/[\s()+-]/g, ''))) {
+    return null;
+  }
+
+  return text.slice(0, MAX_LABEL_LENGTH);
+}
+
+/**
+ * Local midnight today
+ * @returns {Date} Start of today
+ */
+function startOfToday() {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+}
+
+/**
+ * Capitalize the first letter
+ * @param {string} text - Text
+ * @returns {string} Capitalized text
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Default export
+export default {
+  isChatPersonalizationEnabled,
+  setChatPersonalization,
+  getChatHealthContext,
+  clearChatHealthContext,
+  summarizeHealthContext
+};
@@ -0,0 +1,877 @@
+/**
+ * Chat Providers - Pluggable backends for the AI health assistant
+ * Providers take an OpenAI-style messages array and return the assistant's reply,
+ * either whole (complete) or as text deltas (stream)
+ */
+
+/**
+ * Chat message
+ * @typedef {Object} ChatMessage
+ * @property {string} role - 'system', 'user', 'assistant' or 'tool'
+ * @property {string} content - Message text
+ * @property {Array<Object>} tool_calls - Tool calls made by an assistant message (OpenAI format)
+ * @property {string} tool_call_id - Call a tool message answers
+ */
+
+/**
+ * Tool call requested by the model
+ * @typedef {Object} ToolCall
+ * @property {string} id - Call ID, echoed back in the tool message
+ * @property {string} name - Tool name
+ * @property {string} arguments - Arguments as a JSON string
+ */
+
+/**
+ * OpenAI-Compatible Provider
+ */
+
+// Base URL of any server implementing POST /chat/completions (OpenAI, Azure, Ollama, LM Studio, a test stub...)
+const AI_CHAT_API_URL = 'https://api.openai.com/v1';
+const AI_API_KEY = 'your-openai-api-key';
+const AI_CHAT_MODEL = 'gpt-4o-mini';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+
+// Statuses worth retrying: rate limits and transient server errors
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504];
+
+/**
+ * Error from a chat provider
+ */
+export class ChatProviderError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {number} details.status - HTTP status, if any
+   * @param {boolean} details.retryable - Whether retrying may succeed
+   * @param {number} details.retryAfterMs - Server-requested delay before retrying
+   */
+  constructor(message, { status = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ChatProviderError';
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Create a provider for an OpenAI-compatible chat completions API
+ * @param {Object} config - Provider configuration
+ * @param {string} config.name - Provider name
+ * @param {string} config.baseUrl - API base URL (without /chat/completions)
+ * @param {string} config.apiKey - Bearer token; may be empty for local servers
+ * @param {string} config.model - Model name
+ * @param {number} config.timeoutMs - Per-attempt timeout
+ * @param {number} config.maxRetries - Retries after the first attempt
+ * @param {number} config.temperature - Sampling temperature
+ * @param {number} config.maxTokens - Maximum reply length
+ * @returns {Object} Provider
+ */
+export function createOpenAICompatibleProvider(config = {}) {
+  const settings = {
+    name: 'openai',
+    baseUrl: AI_CHAT_API_URL,
+    apiKey: AI_API_KEY,
+    model: AI_CHAT_MODEL,
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+    maxRetries: DEFAULT_MAX_RETRIES,
+    temperature: 0.4,
+    maxTokens: 600,
+    ...config
+  };
+
+  return {
+    name: settings.name,
+
+    /**
+     * Whether the provider has enough configuration to be tried
+     * A placeholder key only counts as missing against the default endpoint,
+     * so local servers that ignore keys work without one.
+     * @returns {boolean} True if configured
+     */
+    isConfigured() {
+      const hasKey = !!settings.apiKey && !settings.apiKey.startsWith('your-');
+      return !!settings.baseUrl && (hasKey || settings.baseUrl !== AI_CHAT_API_URL);
+    },
+
+    /**
+     * Update the provider configuration
+     * @param {Object} updates - Any of the createOpenAICompatibleProvider config fields
+     */
+    configure(updates) {
+      Object.assign(settings, updates);
+    },
+
+    /**
+     * Request a chat completion, retrying transient failures
+     * @param {Array<ChatMessage>} messages - Conversation
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels the request
+     * @returns {Promise<string>} Assistant reply
+     */
+    async complete(messages, options = {}) {
+      let attempt = 0;
+
+      while (true) {
+        try {
+          return await this.request(messages, options);
+        } catch (error) {
+          const canRetry = error.retryable && attempt < settings.maxRetries && !options.signal?.aborted;
+
+          if (!canRetry) {
+            throw error;
+          }
+
+          const backoff = RETRY_BASE_DELAY_MS * 2 ** attempt * (1 + Math.random() * 0.25);
+          attempt++;
+          console.warn(`Chat provider ${settings.name} failed (${error.message}), retry ${attempt}/${settings.maxRetries}`);
+          await delay(error.retryAfterMs ?? backoff, options.signal);
+        }
+      }
+    },
+
+    /**
+     * Stream a chat completion as text deltas
+     * Failures before the first delta are retried like complete(); once text has been
+     * yielded, errors are passed on so the caller never sees a reply twice.
+     * @param {Array<ChatMessage>} messages - Conversation
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels the request
+     * @param {Array<{name: string, description: string, parameters: Object}>} options.tools - Tools
+     *   the model may call
+     * @returns {AsyncGenerator<string|{toolCalls: Array<ToolCall>}>} Text deltas, then the
+     *   requested tool calls if there are any
+     */
+    async *stream(messages, options = {}) {
+      let attempt = 0;
+
+      while (true) {
+        let started = false;
+
+        try {
+          for await (const delta of this.streamRequest(messages, options)) {
+            started = true;
+            yield delta;
+          }
+          return;
+
+        } catch (error) {
+          const canRetry = !started && error.retryable && attempt < settings.maxRetries && !options.signal?.aborted;
+
+          if (!canRetry) {
+            throw error;
+          }
+
+          const backoff = RETRY_BASE_DELAY_MS * 2 ** attempt * (1 + Math.random() * 0.25);
+          attempt++;
+          console.warn(`Chat provider ${settings.name} stream failed (${error.message}), retry ${attempt}/${settings.maxRetries}`);
+          await delay(error.retryAfterMs ?? backoff, options.signal);
+        }
+      }
+    },
+
+    /**
+     * Send one streaming chat completion request and parse its server-sent events
+     * The timeout applies to the wait for each chunk, so long replies are not cut off.
+     * @param {Array<ChatMessage>} messages - Conversation
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels the request
+     * @param {Array<Object>} options.tools - Tools the model may call
+     * @returns {AsyncGenerator<string|{toolCalls: Array<ToolCall>}>} Text deltas, then any tool calls
+     */
+    async *streamRequest(messages, options = {}) {
+      const { signal, cleanup, timedOut, restart } = withTimeout(settings.timeoutMs, options.signal);
+      let reader = null;
+      let finished = false;
+
+      try {
+        const response = await this.post(messages, { stream: true, ...toToolOptions(options.tools) }, signal);
+
+        // Servers without streaming support answer with a single JSON body
+        if (!response.headers.get('content-type')?.includes('text/event-stream')) {
+          const message = (await response.json())?.choices?.[0]?.message || {};
+          const toolCalls = readToolCalls(message.tool_calls);
+
+          if (typeof message.content === 'string' && message.content.trim()) {
+            yield message.content.trim();
+          } else if (!toolCalls.length) {
+            throw new ChatProviderError('Chat API returned an empty reply');
+          }
+
+          if (toolCalls.length) yield { toolCalls };
+          finished = true;
+          return;
+        }
+
+        reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        // Tool calls arrive in fragments keyed by index
+        const toolCalls = [];
+
+        while (!finished) {
+          const { value, done } = await reader.read();
+
+          if (done) break;
+
+          restart();
+          buffer += decoder.decode(value, { stream: true });
+
+          const events = buffer.split(/\r?\n\r?\n/);
+          buffer = events.pop();
+
+          for (const event of events) {
+            const data = parseSseData(event);
+
+            if (data === null) continue;
+
+            if (data === '[DONE]') {
+              finished = true;
+              break;
+            }
+
+            const delta = JSON.parse(data).choices?.[0]?.delta || {};
+
+            if (delta.content) yield delta.content;
+
+            (delta.tool_calls || []).forEach(part => {
+              const call = toolCalls[part.index ?? 0] ||= { id: '', name: '', arguments: '' };
+              if (part.id) call.id = part.id;
+              if (part.function?.name) call.name += part.function.name;
+              if (part.function?.arguments) call.arguments += part.function.arguments;
+            });
+          }
+        }
+
+        finished = true;
+
+        if (toolCalls.length) {
+          yield { toolCalls: toolCalls.filter(Boolean) };
+        }
+
+      } catch (error) {
+        throw toProviderError(error, timedOut(), settings.timeoutMs);
+
+      } finally {
+        if (reader && !finished) {
+          reader.cancel().catch(() => {});
+        }
+        cleanup();
+      }
+    },
+
+    /**
+     * Send one chat completion request
+     * @param {Array<ChatMessage>} messages - Conversation
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels the request
+     * @returns {Promise<string>} Assistant reply
+     */
+    async request(messages, options = {}) {
+      const { signal, cleanup, timedOut } = withTimeout(settings.timeoutMs, options.signal);
+
+      try {
+        const response = await this.post(messages, {}, signal);
+        return readCompletion(await response.json());
+
+      } catch (error) {
+        throw toProviderError(error, timedOut(), settings.timeoutMs);
+
+      } finally {
+        cleanup();
+      }
+    },
+
+    /**
+     * POST to /chat/completions and reject on HTTP errors
+     * @param {Array<ChatMessage>} messages - Conversation
+     * @param {Object} extra - Extra body fields
+     * @param {AbortSignal} signal - Abort signal
+     * @returns {Promise<Response>} Successful response
+     */
+    async post(messages, extra, signal) {
+      const response = await fetch(`${settings.baseUrl.replace(/\/$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model: settings.model,
+          messages,
+          temperature: settings.temperature,
+          max_tokens: settings.maxTokens,
+          ...extra
+        }),
+        signal
+      });
+
+      if (!response.ok) {
+        const retryAfter = Number(response.headers.get('retry-after'));
+
+        throw new ChatProviderError(`Chat API error: ${response.status}`, {
+          status: response.status,
+          retryable: RETRYABLE_STATUSES.includes(response.status),
+          retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : null
+        });
+      }
+
+      return response;
+    }
+  };
+}
+
+export const openAIProvider = createOpenAICompatibleProvider();
+
+/**
+ * Keyword Simulator Provider
+ */
+
+export const simulatorProvider = {
+  name: 'simulator',
+
+  isConfigured() {
+    return true;
+  },
+
+  /**
+   * Answer from canned keyword responses, for offline use and demos
+   * @param {Array<ChatMessage>} messages - Conversation
+   * @param {Object} options - Request options
+   * @param {AirQualityReading} options.airQuality - Latest reading, for answers about local conditions
+   * @returns {Promise<string>} Simulated reply
+   */
+  async complete(messages, options = {}) {
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    return simulateAIResponse(lastUserMessage?.content || '', options);
+  },
+
+  /**
+   * Stream the simulated reply word by word
+   * When tools are offered, simple English phrasing ("used my inhaler twice") becomes tool
+   * calls, and tool results are read back as the reply.
+   * @param {Array<ChatMessage>} messages - Conversation
+   * @param {Object} options - Request options (see complete)
+   * @param {Array<Object>} options.tools - Tools the simulated model may call
+   * @returns {AsyncGenerator<string|{toolCalls: Array<ToolCall>}>} Text deltas or tool calls
+   */
+  async *stream(messages, options = {}) {
+    const lastMessage = messages[messages.length - 1];
+    let reply;
+
+    if (lastMessage?.role === 'tool') {
+      reply = summarizeToolResults(messages);
+    } else {
+      const toolCalls = options.tools?.length ? simulateToolCalls(lastMessage?.content || '', options.tools) : [];
+
+      if (toolCalls.length) {
+        await delay(500, options.signal);
+        yield { toolCalls };
+        return;
+      }
+
+      reply = await this.complete(messages, options);
+    }
+
+    for (const word of reply.match(/\S+\s*/g) || []) {
+      await delay(30, options.signal);
+      yield word;
+    }
+  }
+};
+
+/**
+ * Turn simple English phrasing into tool calls (for demo purposes)
+ * @param {string} message - User message
+ * @param {Array<Object>} tools - Offered tools
+ * @returns {Array<ToolCall>} Tool calls
+ */
+function simulateToolCalls(message, tools) {
+  const text = message.toLowerCase();
+  const offered = new Set(tools.map(tool => tool.name));
+  const calls = [];
+  const call = (name, args) => {
+    if (offered.has(name)) {
+      calls.push({ id: `sim-${Date.now()}-${calls.length}`, name, arguments: JSON.stringify(args) });
+    }
+  };
+
+  const when = parseSimulatedTime(text);
+  const symptom = [
+    ['wheez', 'wheezing'],
+    ['cough', 'coughing'],
+    ['chest tight', 'chest tightness'],
+    ['short of breath', 'shortness of breath'],
+    ['breathless', 'shortness of breath']
+  ].find(([keyword]) => text.includes(keyword));
+
+  if (symptom && /\b(had|have|having|got|woke)\b/.test(text)) {
+    const severity = /\b(bad|severe|terrible|awful|really)\b/.test(text) ? 4 : /\b(mild|slight|little|bit)\b/.test(text) ? 2 : 3;
+    call('log_symptom', { symptom_type: symptom[1], severity, recorded_at: when });
+  }
+
+  const inhaler = text.match(/\b(used|took|take|taken|had)\b[^.]*\b(inhaler|reliever|puffer)\b(?:[^.]*?\b(once|twice|three times|(\d+) (?:times|puffs)))?/);
+  if (inhaler) {
+    const count = { once: 1, twice: 2, 'three times': 3 }[inhaler[3]] || Number(inhaler[4]) || null;
+    call('log_medication', {
+      medication_name: 'Reliever inhaler',
+      medication_type: 'rescue',
+      ...(count ? { dosage: `${count} puff${count === 1 ? '' : 's'}` } : {}),
+      taken_at: when
+    });
+  }
+
+  const place = text.match(/air quality (?:in|for|at|near) ([a-z][a-z .,'-]*?)(?:[?.!]|\s+(?:today|now|right now)|$)/);
+  if (place) {
+    call('check_air_quality', { location: place[1].trim() });
+  }
+
+  if (/\b(my|upcoming|next) appointments?\b/.test(text) && !/\bbook\b/.test(text)) {
+    call('get_appointments', {});
+  }
+
+  return calls;
+}
+
+/**
+ * Read a clock time like "at 3am" as the most recent such time
+ * @param {string} text - Lowercase message
+ * @returns {string} ISO 8601 time (now if none is mentioned)
+ */
+function parseSimulatedTime(text) {
+  const match = text.match(/\bat (\d{1,2})(?::(\d{2}))?\s*(am|pm)?\b/);
+  const time = new Date();
+
+  if (!match) {
+    return time.toISOString();
+  }
+
+  let hours = Number(match[1]) % 12 + (match[3] === 'pm' ? 12 : 0);
+  if (!match[3] && Number(match[1]) > 12) hours = Number(match[1]);
+
+  time.setHours(hours, Number(match[2] || 0), 0, 0);
+  if (time > new Date()) time.setDate(time.getDate() - 1);
+
+  return time.toISOString();
+}
+
+/**
+ * Read back the results of the latest tool calls
+ * @param {Array<ChatMessage>} messages - Conversation ending in tool messages
+ * @returns {string} Reply
+ */
+function summarizeToolResults(messages) {
+  const results = [];
+
+  for (let i = messages.length - 1; i >= 0 && messages[i].role === 'tool'; i--) {
+    try {
+      results.unshift(JSON.parse(messages[i].content));
+    } catch (error) {
+      results.unshift({ ok: false, summary: messages[i].content });
+    }
+  }
+
+  return results
+    .map(result => `${result.ok ? '✅' : '⚠️'} ${result.summary}`)
+    .join('\n');
+}
+
+/**
+ * Simulate AI response (for demo purposes)
+ * @param {string} message - User message
+ * @param {Object} options - Chat options (see sendChatMessage)
+ * @returns {Promise<string>} Simulated AI response
+ */
+async function simulateAIResponse(message, options = {}) {
+  // Simulate API delay
+  await delay(1000 + Math.random() * 2000, options.signal);
+
+  const lowerMessage = message.toLowerCase();
+
+  // Predefined responses based on keywords (emergencies are answered by chat triage first)
+  if (lowerMessage.includes('inhaler') || lowerMessage.includes('medication')) {
+    return "For inhaler and medication questions, it's important to follow your doctor's prescribed instructions. If you're experiencing issues with your current medication or need adjustments, please contact your healthcare provider. Never stop or change medications without medical guidance.";
+  }
+
+  if (lowerMessage.includes('trigger') || lowerMessage.includes('allergen')) {
+    return "Common asthma triggers include dust mites, pet dander, pollen, smoke, cold air, and strong odors. Keeping a trigger diary can help identify your specific triggers. Consider using air purifiers, regular cleaning, and avoiding known irritants when possible.";
+  }
+
+  if (lowerMessage.includes('exercise') || lowerMessage.includes('activity')) {
+    return "Exercise-induced asthma is manageable! Warm up gradually, consider using your rescue inhaler before exercise if recommended by your doctor, and choose activities like swimming which are often better tolerated. Always have your rescue inhaler available during physical activity.";
+  }
+
+  const environmentKeywords = ['air quality', 'pollution', 'pollen', 'weather', 'humid', 'thunder', 'cold air', 'windy'];
+
+  if (environmentKeywords.some(keyword => lowerMessage.includes(keyword))) {
+    if (options.airQuality?.trigger_risk) {
+      return describeTriggerRisk(options.airQuality);
+    }
+
+    return "Poor air quality can definitely trigger asthma symptoms. Check daily air quality reports, limit outdoor activities on high pollution days, keep windows closed during poor air quality periods, and consider using air purifiers indoors. Our air quality monitor can help you stay informed!";
+  }
+
+  if (lowerMessage.includes('stress') || lowerMessage.includes('anxiety')) {
+    return "Stress and anxiety can indeed trigger asthma symptoms. Practice relaxation techniques like deep breathing exercises, meditation, or yoga. Maintaining a regular sleep schedule and staying connected with support networks also helps. If stress is a major trigger, consider speaking with a counselor.";
+  }
+
+  if (lowerMessage.includes('diet') || lowerMessage.includes('food')) {
+    return "While food allergies can trigger asthma in some people, maintaining a healthy diet supports overall respiratory health. Foods rich in omega-3 fatty acids, antioxidants, and vitamin D may be beneficial. If you suspect food triggers, keep a food diary and discuss with your healthcare provider.";
+  }
+
+  // Default response
+  return "Thank you for your question about asthma management. While I can provide general information, it's important to work closely with your healthcare provider for personalized advice. Is there a specific aspect of asthma management you'd like to know more about? I'm here to help with general guidance and support.";
+}
+
+/**
+ * Describe current conditions and trigger risk for a chat answer
+ * @param {AirQualityReading} reading - Reading with trigger_risk
+ * @returns {string} Response text
+ */
+export function describeTriggerRisk(reading) {
+  const { trigger_risk: risk, weather = {} } = reading;
+  const place = reading.location?.name ? ` in ${reading.location.name}` : '';
+
+  const conditions = [
+    reading.aqi?.value != null ? `air quality index ${reading.aqi.value} (${reading.aqi.category})` : null,
+    weather.temperature_c != null ? `${Math.round(weather.temperature_c)}°C` : null,
+    weather.humidity != null ? `${weather.humidity}% humidity` : null,
+    weather.condition ? weather.condition.toLowerCase() : null
+  ].filter(Boolean);
+
+  const mainFactors = risk.factors.slice(0, 2).map(factor => factor.detail.toLowerCase());
+
+  const advice = {
+    low: 'Conditions look good for outdoor activities - just keep your rescue inhaler with you as usual.',
+    moderate: 'Most people will be fine, but if you are sensitive to these triggers, take it easy outdoors and carry your rescue inhaler.',
+    high: 'Consider limiting time outdoors, keep windows closed, and take your controller medication as prescribed.',
+    'very-high': 'Stay indoors where you can, keep windows closed, and follow your asthma action plan if symptoms start.'
+  };
+
+  return `Right now${place}: ${conditions.join(', ')}. ` +
+    `Your asthma trigger risk is ${risk.label} (${risk.score}/100)` +
+    (mainFactors.length ? `, mainly from ${mainFactors.join(' and ')}. ` : '. ') +
+    advice[risk.level];
+}
+
+/**
+ * Provider Registry
+ */
+
+const providers = new Map([
+  [openAIProvider.name, openAIProvider],
+  [simulatorProvider.name, simulatorProvider]
+]);
+
+// The simulator stays last so the assistant still answers when offline
+let activeProviders = ['openai', 'simulator'];
+
+/**
+ * Register (or replace) a chat provider
+ * @param {Object} provider - Provider with name and complete
+ */
+export function registerChatProvider(provider) {
+  if (!provider?.name || typeof provider.complete !== 'function') {
+    throw new Error('Chat provider must have a name and a complete function');
+  }
+
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Get a registered provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|null} Provider or null
+ */
+export function getChatProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * Set which providers sendChatMessage uses, in priority order
+ * @param {Array<string>|string} names - Provider name(s)
+ */
+export function setChatProviders(names) {
+  const list = Array.isArray(names) ? names : [names];
+  const unknown = list.filter(name => !providers.has(name));
+
+  if (unknown.length) {
+    throw new Error(`Unknown chat provider: ${unknown.join(', ')}`);
+  }
+
+  activeProviders = list;
+}
+
+/**
+ * Get the active provider names, in priority order
+ * @returns {Array<string>} Provider names
+ */
+export function getChatProviders() {
+  return [...activeProviders];
+}
+
+/**
+ * Configure the OpenAI-compatible provider
+ * @param {Object} config - baseUrl, apiKey, model, timeoutMs, maxRetries...
+ */
+export function configureChatProvider(config) {
+  openAIProvider.configure(config);
+}
+
+/**
+ * Get a reply from the first active provider that answers
+ * @param {Array<ChatMessage>} messages - Conversation
+ * @param {Object} options - Request options, passed to the provider
+ * @param {Array<string>} options.providers - Provider names (defaults to the active list)
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<{content: string, provider: string}>} Reply and the provider that produced it
+ */
+export async function completeChat(messages, options = {}) {
+  const { providers: names = activeProviders, ...requestOptions } = options;
+  let lastError = null;
+
+  for (const name of names) {
+    const provider = getChatProvider(name);
+
+    if (!provider || (provider.isConfigured && !provider.isConfigured())) {
+      continue;
+    }
+
+    try {
+      const content = await provider.complete(messages, requestOptions);
+      return { content, provider: name };
+    } catch (error) {
+      // A cancelled request must not fall through to the next provider
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+
+      console.warn(`Chat provider ${name} failed:`, error);
+      lastError = error;
+    }
+  }
+
+  throw lastError || new Error('No chat providers configured');
+}
+
+/**
+ * Stream a reply from the first active provider that answers
+ * Falls back to the next provider only if nothing has been streamed yet.
+ * Providers without stream support yield their whole reply at once.
+ * @param {Array<ChatMessage>} messages - Conversation
+ * @param {Object} options - Request options (see completeChat)
+ * @param {Array<Object>} options.tools - Tools the model may call
+ * @returns {AsyncGenerator<string|{toolCalls: Array<ToolCall>}>} Text deltas, then any tool calls
+ */
+export async function* streamChat(messages, options = {}) {
+  const { providers: names = activeProviders, ...requestOptions } = options;
+  let lastError = null;
+
+  for (const name of names) {
+    const provider = getChatProvider(name);
+
+    if (!provider || (provider.isConfigured && !provider.isConfigured())) {
+      continue;
+    }
+
+    let started = false;
+
+    try {
+      if (typeof provider.stream === 'function') {
+        for await (const delta of provider.stream(messages, requestOptions)) {
+          started = true;
+          yield delta;
+        }
+      } else {
+        started = true;
+        yield await provider.complete(messages, requestOptions);
+      }
+
+      console.log(`✅ Chat response streamed from ${name}`);
+      return;
+
+    } catch (error) {
+      if (error.name === 'AbortError' || started) {
+        throw error;
+      }
+
+      console.warn(`Chat provider ${name} failed:`, error);
+      lastError = error;
+    }
+  }
+
+  throw lastError || new Error('No chat providers configured');
+}
+
+/**
+ * Helper Functions
+ */
+
+/**
+ * Read the reply text from a chat completion response
+ * @param {Object} data - Response body
+ * @returns {string} Reply text
+ */
+function readCompletion(data) {
+  const content = data?.choices?.[0]?.message?.content;
+
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new ChatProviderError('Chat API returned an empty reply');
+  }
+
+  return content.trim();
+}
+
+/**
+ * Build the tools fields of a chat completions request
+ * @param {Array<Object>} tools - Tools with name, description and parameters
+ * @returns {Object} Request fields (empty when no tools are offered)
+ */
+function toToolOptions(tools) {
+  if (!tools?.length) {
+    return {};
+  }
+
+  return {
+    tools: tools.map(tool => ({
+      type: 'function',
+      function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+    })),
+    tool_choice: 'auto'
+  };
+}
+
+/**
+ * Read tool calls from a chat completion message
+ * @param {Array<Object>} toolCalls - message.tool_calls (OpenAI format)
+ * @returns {Array<ToolCall>} Tool calls
+ */
+function readToolCalls(toolCalls) {
+  return (toolCalls || []).map(call => ({
+    id: call.id,
+    name: call.function?.name,
+    arguments: call.function?.arguments || '{}'
+  }));
+}
+
+/**
+ * Extract the data payload of one server-sent event
+ * @param {string} event - Raw event block
+ * @returns {string|null} Data lines joined by newlines, or null for comments and other fields
+ */
+function parseSseData(event) {
+  const lines = event
+    .split(/\r?\n/)
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).replace(/^ /, ''));
+
+  return lines.length ? lines.join('\n') : null;
+}
+
+/**
+ * Classify a failed request
+ * @param {Error} error - Thrown error
+ * @param {boolean} timedOut - Whether the timeout fired
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @returns {Error} ChatProviderError, or the caller's AbortError
+ */
+function toProviderError(error, timedOut, timeoutMs) {
+  if (error instanceof ChatProviderError) {
+    return error;
+  }
+
+  if (timedOut) {
+    return new ChatProviderError(`Chat API timed out after ${timeoutMs}ms`, { retryable: true });
+  }
+
+  if (error.name === 'AbortError') {
+    return error;
+  }
+
+  if (error instanceof SyntaxError) {
+    return new ChatProviderError(`Chat API returned invalid JSON: ${error.message}`);
+  }
+
+  // fetch only rejects on network failures
+  return new ChatProviderError(`Chat API unreachable: ${error.message}`, { retryable: true });
+}
+
+/**
+ * Combine a caller's abort signal with a timeout
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @param {AbortSignal} parentSignal - Caller's signal, if any
+ * @returns {{signal: AbortSignal, cleanup: Function, timedOut: Function, restart: Function}}
+ *   Combined signal; restart() starts the timeout over
+ */
+function withTimeout(timeoutMs, parentSignal) {
+  const controller = new AbortController();
+  let expired = false;
+
+  const expire = () => {
+    expired = true;
+    controller.abort();
+  };
+
+  let timer = setTimeout(expire, timeoutMs);
+
+  const onAbort = () => controller.abort();
+
+  if (parentSignal) {
+    if (parentSignal.aborted) controller.abort();
+    parentSignal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  return {
+    signal: controller.signal,
+    cleanup: () => {
+      clearTimeout(timer);
+      parentSignal?.removeEventListener('abort', onAbort);
+    },
+    timedOut: () => expired,
+    restart: () => {
+      clearTimeout(timer);
+      timer = setTimeout(expire, timeoutMs);
+    }
+  };
+}
+
+/**
+ * Wait, unless cancelled
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Cancels the wait
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Request cancelled', 'AbortError'));
+      return;
+    }
+
+    const timer = setTimeout(resolve, ms);
+
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('Request cancelled', 'AbortError'));
+    }, { once: true });
+  });
+}
+
+// Default export
+export default {
+  createOpenAICompatibleProvider,
+  openAIProvider,
+  simulatorProvider,
+  registerChatProvider,
+  getChatProvider,
+  setChatProviders,
+  getChatProviders,
+  configureChatProvider,
+  completeChat,
+  streamChat,
+  describeTriggerRisk
+};
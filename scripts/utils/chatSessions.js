@@ -0,0 +1,294 @@
+/**
+ * Chat Sessions - Saved conversations with the AI health assistant
+ * Each session groups chat_history turns. Resuming a session turns its prior turns back
+ * into conversation context, trimmed to a token budget before it is sent.
+ */
+
+import { supabase, TABLES, STORAGE_BUCKETS } from '../../config/supabase.js';
+
+const DEFAULT_SESSION_TITLE = 'New chat';
+const MAX_TITLE_LENGTH = 60;
+
+// Tokens of earlier turns sent with each message; the system prompt and reply need the rest
+export const CONTEXT_TOKEN_BUDGET = 3000;
+
+// Rough average for English text, close enough for budgeting without a tokenizer
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Chat session
+ * @typedef {Object} ChatSession
+ * @property {string} id - Session ID (chat_history.session_id)
+ * @property {string} title - Display title
+ * @property {string} last_message_at - Time of the latest turn
+ * @property {string} created_at - Creation time
+ */
+
+/**
+ * Create a chat session
+ * @param {string} title - Session title
+ * @returns {Promise<Object>} Result with created session or error
+ */
+export async function createChatSession(title = DEFAULT_SESSION_TITLE) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    const { data, error } = await supabase
+      .from(TABLES.CHAT_SESSIONS)
+      .insert({
+        user_id: user.id,
+        title: cleanTitle(title)
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    console.log('✅ Chat session created');
+    return { data, error: null };
+
+  } catch (error) {
+    console.error('❌ Chat session creation failed:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Get the user's chat sessions, most recently active first
+ * @param {number} limit - Maximum number of sessions
+ * @returns {Promise<Array<ChatSession>>} Sessions
+ */
+export async function getChatSessions(limit = 50) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) {
+      return [];
+    }
+
+    const { data, error } = await supabase
+      .from(TABLES.CHAT_SESSIONS)
+      .select('id, title, last_message_at, created_at')
+      .eq('user_id', user.id)
+      .order('last_message_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+
+  } catch (error) {
+    console.error('Failed to fetch chat sessions:', error);
+    return [];
+  }
+}
+
+/**
+ * Rename a chat session
+ * @param {string} sessionId - Session ID
+ * @param {string} title - New title
+ * @returns {Promise<Object>} Result with updated session or error
+ */
+export async function renameChatSession(sessionId, title) {
+  try {
+    if (!title?.trim()) {
+      throw new Error('Session title is required');
+    }
+
+    const { data, error } = await supabase
+      .from(TABLES.CHAT_SESSIONS)
+      .update({ title: cleanTitle(title) })
+      .eq('id', sessionId)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    console.log('✅ Chat session renamed');
+    return { data, error: null };
+
+  } catch (error) {
+    console.error('❌ Chat session rename failed:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Delete a chat session, its messages and its attachments
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} Result with error if any
+ */
+export async function deleteChatSession(sessionId) {
+  try {
+    // chat_history rows are removed by ON DELETE CASCADE
+    const { error } = await supabase
+      .from(TABLES.CHAT_SESSIONS)
+      .delete()
+      .eq('id', sessionId);
+
+    if (error) {
+      throw error;
+    }
+
+    await removeSessionAttachments(sessionId);
+
+    console.log('✅ Chat session deleted');
+    return { error: null };
+
+  } catch (error) {
+    console.error('❌ Chat session deletion failed:', error);
+    return { error };
+  }
+}
+
+/**
+ * Get the latest turns of a session in chronological order
+ * @param {string} sessionId - Session ID
+ * @param {number} limit - Maximum number of turns
+ * @returns {Promise<Array>} chat_history rows, oldest first
+ */
+export async function getSessionMessages(sessionId, limit = 100) {
+  try {
+    const { data, error } = await supabase
+      .from(TABLES.CHAT_HISTORY)
+      .select('id, user_message, ai_response, message_metadata, created_at')
+      .eq('session_id', sessionId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw error;
+    }
+
+    return (data || []).reverse();
+
+  } catch (error) {
+    console.error('Failed to fetch session messages:', error);
+    return [];
+  }
+}
+
+/**
+ * Turn chat_history rows into conversation context
+ * @param {Array} turns - chat_history rows, oldest first
+ * @returns {Array<ChatMessage>} Alternating user and assistant messages
+ */
+export function turnsToContext(turns) {
+  return turns.flatMap(turn => [
+    { role: 'user', content: turn.user_message },
+    { role: 'assistant', content: turn.ai_response }
+  ]);
+}
+
+/**
+ * Keep the most recent messages that fit a token budget
+ * Never starts the result with an assistant message, so the model doesn't see a reply
+ * without its question.
+ * @param {Array<ChatMessage>} messages - Conversation, oldest first
+ * @param {number} maxTokens - Token budget
+ * @returns {Array<ChatMessage>} Trimmed conversation
+ */
+export function trimContextToBudget(messages, maxTokens = CONTEXT_TOKEN_BUDGET) {
+  const kept = [];
+  let used = 0;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(messages[i].content) + MESSAGE_OVERHEAD_TOKENS;
+
+    if (used + cost > maxTokens) break;
+
+    used += cost;
+    kept.unshift(messages[i]);
+  }
+
+  while (kept.length && kept[0].role === 'assistant') {
+    kept.shift();
+  }
+
+  return kept;
+}
+
+/**
+ * Estimate the token count of a text
+ * @param {string} text - Text
+ * @returns {number} Approximate tokens
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Derive a session title from the first message
+ * @param {string} message - User message
+ * @returns {string} Title
+ */
+export function titleFromMessage(message) {
+  return cleanTitle(message) || DEFAULT_SESSION_TITLE;
+}
+
+/**
+ * Helper Functions
+ */
+
+/**
+ * Collapse whitespace and shorten a title
+ * @param {string} title - Raw title
+ * @returns {string} Title of at most MAX_TITLE_LENGTH characters
+ */
+function cleanTitle(title) {
+  const text = (title || '').replace(/\s+/g, ' ').trim();
+  return text.length > MAX_TITLE_LENGTH ? `${text.slice(0, MAX_TITLE_LENGTH - 1).trimEnd()}…` : text;
+}
+
+/**
+ * Delete the files attached in a session ({user_id}/{session_id}/ in chat-attachments)
+ * @param {string} sessionId - Session ID
+ */
+async function removeSessionAttachments(sessionId) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    const folder = `${user.id}/${sessionId}`;
+
+    const { data: files, error } = await supabase.storage
+      .from(STORAGE_BUCKETS.CHAT_ATTACHMENTS)
+      .list(folder);
+
+    if (error) {
+      throw error;
+    }
+
+    if (files?.length) {
+      await supabase.storage
+        .from(STORAGE_BUCKETS.CHAT_ATTACHMENTS)
+        .remove(files.map(file => `${folder}/${file.name}`));
+    }
+
+  } catch (error) {
+    console.error('Failed to remove chat attachments:', error);
+    // Don't throw - the session itself is already deleted
+  }
+}
+
+// Default export
+export default {
+  createChatSession,
+  getChatSessions,
+  renameChatSession,
+  deleteChatSession,
+  getSessionMessages,
+  turnsToContext,
+  trimContextToBudget,
+  estimateTokens,
+  titleFromMessage
+};
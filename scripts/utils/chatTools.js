@@ -0,0 +1,322 @@
+/**
+ * Chat Tools - Actions the AI assistant can take through the existing API
+ * Each tool has a JSON schema for the model, a validator, a one-line description for
+ * the confirmation step and a run function. Write tools only run after the user confirms.
+ */
+
+import {
+  logSymptom,
+  logMedicationUsage,
+  bookAppointment,
+  getAvailableSlots,
+  getDoctorDirectory,
+  checkAirQuality,
+  getAppointments
+} from './api.js';
+
+// Names of doctors returned by find_doctors, so confirmations can show a name instead of an ID
+const doctorNames = new Map();
+
+const DOCTOR_ID_PARAMETER = {
+  type: 'string',
+  pattern: '^[a-z0-9-]+$',
+  description: 'Doctor ID from find_doctors, e.g. dr-smith'
+};
+
+const APPOINTMENT_TYPES = ['consultation', 'follow-up', 'emergency', 'routine-checkup', 'test-results', 'prescription'];
+const MEDICATION_TYPES = ['rescue', 'controller', 'preventive', 'other'];
+const PRIORITIES = ['routine', 'urgent', 'emergency'];
+
+/**
+ * Chat tool
+ * @typedef {Object} ChatTool
+ * @property {string} name - Name the model calls
+ * @property {string} label - Short display name
+ * @property {string} description - What the tool does, for the model
+ * @property {Object} parameters - JSON schema of the arguments
+ * @property {boolean} write - Whether the tool changes data (needs confirmation)
+ * @property {Function} validate - (args) => error message or null
+ * @property {Function} describe - (args) => one-line summary for the confirmation step
+ * @property {Function} run - async (args) => {ok, summary, data}
+ */
+
+const CHAT_TOOLS = [
+  {
+    name: 'log_symptom',
+    label: 'Log symptom',
+    description: 'Record an asthma symptom in the user\'s symptom diary.',
+    write: true,
+    parameters: {
+      type: 'object',
+      properties: {
+        symptom_type: { type: 'string', description: 'e.g. wheezing, coughing, chest tightness, shortness of breath' },
+        severity: { type: 'integer', minimum: 1, maximum: 5, description: '1 = very mild, 5 = very severe' },
+        recorded_at: { type: 'string', format: 'date-time', description: 'When it happened, ISO 8601 with offset' },
+        triggers: { type: 'array', items: { type: 'string' } },
+        notes: { type: 'string' }
+      },
+      required: ['symptom_type', 'severity']
+    },
+    describe: args => `Log ${args.symptom_type} (severity ${args.severity}/5) at ${formatDateTime(args.recorded_at)}${args.triggers?.length ? `, triggers: ${args.triggers.join(', ')}` : ''}`,
+    run: async args => toResult(await logSymptom({
+      type: args.symptom_type,
+      severity: args.severity,
+      triggers: args.triggers,
+      notes: args.notes,
+      timestamp: args.recorded_at
+    }), `Logged ${args.symptom_type} at ${formatDateTime(args.recorded_at)}`)
+  },
+  {
+    name: 'log_medication',
+    label: 'Log medication',
+    description: 'Record that the user took a medication, e.g. puffs of a reliever inhaler.',
+    write: true,
+    parameters: {
+      type: 'object',
+      properties: {
+        medication_name: { type: 'string', description: 'e.g. Albuterol, reliever inhaler' },
+        medication_type: { type: 'string', enum: MEDICATION_TYPES, description: 'rescue for relievers' },
+        dosage: { type: 'string', description: 'e.g. 2 puffs' },
+        taken_at: { type: 'string', format: 'date-time', description: 'When it was taken, ISO 8601 with offset' },
+        notes: { type: 'string' }
+      },
+      required: ['medication_name']
+    },
+    describe: args => `Log ${args.medication_name}${args.dosage ? ` (${args.dosage})` : ''} taken at ${formatDateTime(args.taken_at)}`,
+    run: async args => toResult(await logMedicationUsage({
+      name: args.medication_name,
+      type: args.medication_type || 'other',
+      dosage: args.dosage,
+      notes: args.notes,
+      timestamp: args.taken_at
+    }), `Logged ${args.medication_name}${args.dosage ? ` (${args.dosage})` : ''}`)
+  },
+  {
+    name: 'find_doctors',
+    label: 'Find doctors',
+    description: 'Search the clinic\'s doctor directory by name, specialty or expertise. Returns doctor IDs, ratings and the next free time.',
+    write: false,
+    parameters: {
+      type: 'object',
+      properties: {
+        search: { type: 'string', description: 'e.g. asthma, pediatric, Smith' },
+        specialty: { type: 'string', description: 'Exact specialty, e.g. Pulmonologist' },
+        sort_by: { type: 'string', enum: ['rating', 'next_available'] }
+      }
+    },
+    describe: args => `Find doctors${args.search ? ` matching "${args.search}"` : ''}${args.specialty ? ` (${args.specialty})` : ''}`,
+    run: async args => {
+      const { doctors } = await getDoctorDirectory({
+        search: args.search || '',
+        specialty: args.specialty || '',
+        sortBy: args.sort_by || 'rating',
+        pageSize: 10
+      });
+
+      doctors.forEach(doctor => doctorNames.set(doctor.doctor_id, doctor.full_name));
+
+      return {
+        ok: true,
+        summary: doctors.length
+          ? doctors.map(doctor =>
+            `${doctor.doctor_id}: ${doctor.full_name}, ${doctor.specialty}, rated ${doctor.rating.toFixed(1)}, ${doctor.next_available ? `next free ${doctor.next_available.date} ${doctor.next_available.time}` : 'no openings in the next 30 days'}`
+          ).join('; ')
+          : 'No doctors found',
+        data: doctors
+      };
+    }
+  },
+  {
+    name: 'book_appointment',
+    label: 'Book appointment',
+    description: 'Request an appointment with one of the clinic\'s doctors at a time returned by find_appointment_slots.',
+    write: true,
+    parameters: {
+      type: 'object',
+      properties: {
+        doctor_id: DOCTOR_ID_PARAMETER,
+        appointment_type: { type: 'string', enum: APPOINTMENT_TYPES },
+        date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'YYYY-MM-DD' },
+        time: { type: 'string', pattern: '^\\d{2}:\\d{2}$', description: 'HH:MM, 24-hour' },
+        reason: { type: 'string' },
+        priority: { type: 'string', enum: PRIORITIES }
+      },
+      required: ['doctor_id', 'appointment_type', 'date', 'time', 'reason']
+    },
+    describe: args => `Book a ${args.appointment_type} with ${getDoctorLabel(args.doctor_id)} on ${args.date} at ${args.time} (${args.reason})`,
+    run: async args => toResult(await bookAppointment({
+      doctor: args.doctor_id,
+      type: args.appointment_type,
+      date: args.date,
+      time: args.time,
+      reason: args.reason,
+      priority: args.priority || 'routine'
+    }), `Requested a ${args.appointment_type} with ${getDoctorLabel(args.doctor_id)} on ${args.date} at ${args.time}; it is pending confirmation`)
+  },
+  {
+    name: 'find_appointment_slots',
+    label: 'Find appointment times',
+    description: 'List a doctor\'s free appointment times between two dates.',
+    write: false,
+    parameters: {
+      type: 'object',
+      properties: {
+        doctor_id: DOCTOR_ID_PARAMETER,
+        from: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'First date, YYYY-MM-DD (default today)' },
+        to: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'Last date, YYYY-MM-DD (default two weeks later)' }
+      },
+      required: ['doctor_id']
+    },
+    describe: args => `Find free times with ${getDoctorLabel(args.doctor_id)}`,
+    run: async args => {
+      const slots = await getAvailableSlots(args.doctor_id, { from: args.from, to: args.to });
+      const byDate = slots.reduce((dates, slot) => {
+        (dates[slot.date] = dates[slot.date] || []).push(slot.time);
+        return dates;
+      }, {});
+
+      return {
+        ok: true,
+        summary: slots.length
+          ? Object.entries(byDate).map(([date, times]) => `${date}: ${times.join(', ')}`).join('; ')
+          : `No free times with ${getDoctorLabel(args.doctor_id)} in that period`,
+        data: slots
+      };
+    }
+  },
+  {
+    name: 'check_air_quality',
+    label: 'Check air quality',
+    description: 'Get current air quality, pollen, weather and asthma trigger risk for a place.',
+    write: false,
+    parameters: {
+      type: 'object',
+      properties: {
+        location: { type: 'string', description: 'City or place name' }
+      },
+      required: ['location']
+    },
+    describe: args => `Check air quality in ${args.location}`,
+    run: async args => {
+      const reading = await checkAirQuality(args.location);
+      const risk = reading.trigger_risk;
+
+      return {
+        ok: true,
+        summary: [
+          `${reading.location?.name || args.location}: AQI ${reading.aqi.value} (${reading.aqi.category})`,
+          risk ? `trigger risk ${risk.label} (${risk.score}/100)${risk.factors.length ? ` from ${risk.factors.map(factor => factor.detail).join('; ')}` : ''}` : null
+        ].filter(Boolean).join(', '),
+        data: reading
+      };
+    }
+  },
+  {
+    name: 'get_appointments',
+    label: 'Get appointments',
+    description: 'List the user\'s upcoming appointments.',
+    write: false,
+    parameters: {
+      type: 'object',
+      properties: {}
+    },
+    describe: () => 'List upcoming appointments',
+    run: async () => {
+      const appointments = (await getAppointments({ upcoming: true }))
+        .filter(appointment => appointment.status !== 'cancelled');
+
+      return {
+        ok: true,
+        summary: appointments.length
+          ? appointments.map(appointment =>
+            `${appointment.appointment_date} ${appointment.appointment_time.slice(0, 5)} ${appointment.appointment_type} with ${appointment.doctor_name || getDoctorLabel(appointment.doctor_id)} (${appointment.status})`
+          ).join('; ')
+          : 'No upcoming appointments',
+        data: appointments
+      };
+    }
+  }
+].map(tool => ({ ...tool, validate: args => validateArguments(tool.parameters, args) }));
+
+/**
+ * Get chat tools
+ * @param {Array<string>} names - Tool names (defaults to all)
+ * @returns {Array<ChatTool>} Tools
+ */
+export function getChatTools(names = null) {
+  return names ? CHAT_TOOLS.filter(tool => names.includes(tool.name)) : [...CHAT_TOOLS];
+}
+
+/**
+ * Helper Functions
+ */
+
+/**
+ * Doctor name for confirmations and summaries
+ * @param {string} doctorId - Doctor ID
+ * @returns {string} Name if find_doctors has returned it, otherwise the ID
+ */
+function getDoctorLabel(doctorId) {
+  return doctorNames.get(doctorId) || doctorId;
+}
+
+/**
+ * Check arguments against the subset of JSON schema the tools use
+ * @param {Object} schema - Object schema
+ * @param {Object} args - Arguments from the model
+ * @returns {string|null} First problem found, or null if valid
+ */
+function validateArguments(schema, args) {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    return 'Arguments must be an object';
+  }
+
+  const missing = (schema.required || []).find(key => args[key] === undefined || args[key] === null || args[key] === '');
+  if (missing) {
+    return `Missing ${missing}`;
+  }
+
+  for (const [key, value] of Object.entries(args)) {
+    const rule = schema.properties[key];
+
+    if (!rule || value === undefined || value === null) continue;
+
+    if (rule.type === 'integer' && !Number.isInteger(value)) return `${key} must be a whole number`;
+    if (rule.type === 'string' && typeof value !== 'string') return `${key} must be text`;
+    if (rule.type === 'array' && !Array.isArray(value)) return `${key} must be a list`;
+    if (rule.minimum != null && value < rule.minimum) return `${key} must be at least ${rule.minimum}`;
+    if (rule.maximum != null && value > rule.maximum) return `${key} must be at most ${rule.maximum}`;
+    if (rule.enum && !rule.enum.includes(value)) return `${key} must be one of ${rule.enum.join(', ')}`;
+    if (rule.pattern && !new RegExp(rule.pattern).test(value)) return `${key} is not in the expected format`;
+    if (rule.format === 'date-time' && Number.isNaN(Date.parse(value))) return `${key} is not a valid date and time`;
+  }
+
+  return null;
+}
+
+/**
+ * Turn an api.js write result into a tool result
+ * @param {Object} result - {data, error} from the API
+ * @param {string} summary - Summary on success
+ * @returns {Object} Tool result
+ */
+function toResult({ data, error }, summary) {
+  return error
+    ? { ok: false, summary: error.message || 'The action failed', data: null }
+    : { ok: true, summary, data };
+}
+
+/**
+ * Format an ISO time for confirmation text
+ * @param {string} value - ISO 8601 date-time, or empty for now
+ * @returns {string} Local date and time
+ */
+function formatDateTime(value) {
+  const date = value ? new Date(value) : new Date();
+  return date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// Default export
+export default {
+  getChatTools
+};
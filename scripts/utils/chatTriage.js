@@ -0,0 +1,300 @@
+/**
+ * Chat Triage - Red-flag symptom classifier that runs before any chat provider
+ * Matches a curated list of emergency phrases in several languages, skipping matches
+ * that are negated ("no chest pain", "I'm not struggling to breathe").
+ */
+
+/**
+ * Red-flag phrases by category and language
+ * Patterns run against normalized text: lowercase, accents removed, apostrophes dropped
+ * ("can't" becomes "cant", "lèvres" becomes "levres").
+ */
+const RED_FLAGS = [
+  {
+    category: 'breathing',
+    label: 'severe difficulty breathing',
+    patterns: {
+      en: [
+        /\b(cant|cannot|can not|unable to|not able to|couldnt|could not) (breathe|breath|get (any )?air|catch my breath)\b/,
+        /\b(can|could|am) (barely|hardly|scarcely) (breathe|breath|breathing|get (any )?air|catch my breath)\b/,
+        /\b(why|how come) (cant|cannot|can not|couldnt) i (breathe|breath|get (any )?air|catch my breath)\b/,
+        /\b(struggling|fighting|gasping) (to breathe|for (air|breath))\b/,
+        /\b(too breathless|too out of breath) to (speak|talk|walk)\b/,
+        /\b(cant|cannot|unable to) (speak|talk|finish) (in )?(full |whole )?(sentences|a sentence)\b/,
+        /\b(really|very|extremely) (hard|difficult) to breathe\b/
+      ],
+      es: [
+        /\bno puedo respirar\b/,
+        /\bme (estoy ahogando|ahogo)\b/,
+        /\bno (puedo|consigo) (hablar|terminar (las )?frases)\b/
+      ],
+      fr: [
+        /\b(ne peux|narrive) (pas|plus) (a )?respirer\b/,
+        /\bj ?etouffe\b/
+      ],
+      de: [
+        /\b(ich )?kann (nicht|kaum) (mehr )?atmen\b/,
+        /\b(ich )?(bekomme|kriege) keine luft\b/,
+        /\bich ersticke\b/
+      ],
+      pt: [
+        /\bnao (consigo|posso) respirar\b/,
+        /\bestou (sufocando|a sufocar)\b/
+      ],
+      it: [
+        /\bnon (riesco a|posso) respirare\b/,
+        /\b(sto )?soffocando\b/
+      ]
+    }
+  },
+  {
+    category: 'cyanosis',
+    label: 'blue or grey lips or face',
+    patterns: {
+      en: [
+        /\b(lips?|face|fingernails|nails|fingertips) ((are|is|have|has|look|looking|went|gone|going|turning|turned|getting|a bit|very) ){0,2}(blue|grey|gray|purple)\b/,
+        /\b(blue|grey|gray) (lips|face|fingernails)\b/
+      ],
+      es: [/\blabios (azules|morados|grises)\b/, /\b(se me ponen|tengo) los labios (azules|morados)\b/],
+      fr: [/\blevres (bleues|grises|violettes)\b/],
+      de: [/\b(blaue|graue) lippen\b/, /\blippen (sind |werden )?(blau|grau)\b/],
+      pt: [/\blabios (roxos|azuis|arroxeados)\b/],
+      it: [/\blabbra (blu|viola|grigie|bluastre)\b/]
+    }
+  },
+  {
+    category: 'reliever_not_working',
+    label: 'reliever inhaler not helping',
+    patterns: {
+      en: [
+        /\b(inhaler|reliever|puffer|albuterol|salbutamol|ventolin|nebuli[sz]er)s? (is not|isnt|are not|arent|was not|wasnt|not|does not|doesnt|did not|didnt|has not|hasnt) (helping|working|help|work|helped|worked)\b/,
+        /\bno (relief|help) from (my )?(inhaler|reliever|puffer|nebuli[sz]er)\b/
+      ],
+      es: [/\b(inhalador|ventolin|salbutamol) no (me )?(ayuda|funciona|hace efecto)\b/],
+      fr: [/\b(inhalateur|ventoline|salbutamol) ne (marche|fonctionne|fait|soulage) (pas|plus)\b/],
+      de: [/\b(inhalator|spray|notfallspray|salbutamol) (hilft|wirkt) (nicht|nicht mehr)\b/],
+      pt: [/\b(bombinha|inalador|aerolin|salbutamol) nao (esta )?(ajudando|funcionando|faz efeito|funciona)\b/],
+      it: [/\b(inalatore|ventolin|salbutamolo) non (funziona|aiuta|fa effetto)\b/]
+    }
+  },
+  {
+    category: 'consciousness',
+    label: 'fainting, confusion or drowsiness',
+    patterns: {
+      en: [
+        /\b(passing out|passed out|fainted|fainting|unconscious|unresponsive|collapsed|blacking out)\b/,
+        /\b(going to|gonna|about to|might|will) (pass out|faint|black out|collapse)\b/,
+        /\b(cant|cannot) stay awake\b/,
+        /\b(very|really|extremely) (drowsy|confused)\b/
+      ],
+      es: [/\b(desmayo|desmaye|desmayado|desmayada|inconsciente)\b/],
+      fr: [/\b(evanoui|evanouie|evanouissement|inconscient|inconsciente)\b/],
+      de: [/\b(bewusstlos|ohnmachtig|ohnmacht|kollabiert)\b/],
+      pt: [/\b(desmaiei|desmaiou|desmaiando|inconsciente)\b/],
+      it: [/\b(svenuto|svenuta|svenendo|incosciente|privo di sensi|priva di sensi)\b/]
+    }
+  },
+  {
+    category: 'chest_pain',
+    label: 'chest pain',
+    patterns: {
+      en: [/\b(chest pain|pain in (my|the) chest|crushing chest)\b/],
+      es: [/\bdolor (de|en el) pecho\b/],
+      fr: [/\bdouleur (a|dans) la poitrine\b/],
+      de: [/\bbrustschmerz(en)?\b/, /\bschmerzen in der brust\b/],
+      pt: [/\bdor no peito\b/],
+      it: [/\bdolore al petto\b/]
+    }
+  },
+  {
+    category: 'severe_attack',
+    label: 'severe asthma attack',
+    patterns: {
+      en: [
+        /\b(severe|bad|serious) (asthma )?attack\b/,
+        /\bpeak flow\b.{0,20}\b(below|under|less than) (33|50) ?(%|percent)/
+      ],
+      es: [/\b(ataque|crisis) (de asma )?(grave|severa|severo|fuerte)\b/],
+      fr: [/\bcrise (d ?asthme )?(grave|severe|aigue)\b/],
+      de: [/\b(schwerer|starker) (asthma)?anfall\b/],
+      pt: [/\b(crise|ataque) (de asma )?(grave|severa|forte)\b/],
+      it: [/\b(attacco|crisi) (d ?asma )?(grave|severo|severa|forte)\b/]
+    }
+  }
+];
+
+// Words that negate a phrase when they directly govern it ("no chest pain", "not wheezing")
+const NEGATION_CUES = new Set([
+  // English
+  'no', 'not', 'never', 'without', 'nor', 'neither', 'dont', 'doesnt', 'didnt', 'isnt', 'arent',
+  'wasnt', 'werent', 'havent', 'hasnt', 'hadnt', 'wont', 'denies',
+  // Spanish, Portuguese, Italian
+  'nunca', 'sin', 'ni', 'nao', 'sem', 'nem', 'non', 'mai', 'senza', 'nessun', 'nessuna',
+  // French
+  'pas', 'jamais', 'sans', 'aucun', 'aucune',
+  // German
+  'nicht', 'kein', 'keine', 'keinen', 'keiner', 'nie', 'ohne'
+]);
+
+// Words that may stand between a negation cue and the phrase it governs ("dont have chest pain",
+// "nai pas de douleur"). Anything else in between, such as "no i cant breathe", leaves the
+// phrase flagged: a missed emergency is worse than a false alarm.
+const NEGATION_BRIDGES = new Set([
+  'any', 'a', 'an', 'have', 'has', 'had', 'having', 'feel', 'feeling', 'felt', 'get', 'getting',
+  'experiencing', 'am', 'im', 'is', 'was', 'been', 'really', 'more', 'longer',
+  'de', 'd', 'di', 'du', 'la', 'le', 'tengo', 'tenho', 'ho', 'habe', 'hat', 'mehr'
+]);
+
+// How many bridge words may separate a negation cue from the phrase
+const MAX_NEGATION_BRIDGES = 2;
+
+// Phrases in the same clause that place a symptom in the past ("a severe attack last year")
+const HISTORY_CUES = /\b(last (year|month|week|summer|winter|spring|autumn)|(years?|months?|weeks?) ago|in the past|history of|used to|el ano pasado|hace (anos|meses)|l ?an dernier|letztes jahr|vor (jahren|monaten)|ano passado|anni fa|l ?anno scorso)\b/;
+
+// Clause boundaries: a negation before these doesn't reach the phrase after them,
+// so "I have no inhaler and can't breathe" still counts
+const CLAUSE_BREAK = /[.,;:!?\n]|\b(and|but|however|although|y|pero|aunque|et|mais|und|aber|doch|e|mas|porem|ma)\b/g;
+
+/**
+ * Triage result
+ * @typedef {Object} TriageResult
+ * @property {boolean} emergency - Whether any red flag matched without negation
+ * @property {Array<string>} categories - Matched red-flag categories
+ * @property {Array<{category: string, language: string, phrase: string}>} matches - Matched phrases
+ * @property {Array<{category: string, language: string, phrase: string}>} negated - Phrases
+ *   that matched but were negated or described as in the past
+ */
+
+/**
+ * Check a chat message for emergency red flags
+ * @param {string} message - User message
+ * @returns {TriageResult} Triage result
+ */
+export function classifyTriage(message) {
+  const text = normalizeText(message);
+  const matches = [];
+  const negated = [];
+
+  for (const flag of RED_FLAGS) {
+    for (const [language, patterns] of Object.entries(flag.patterns)) {
+      for (const pattern of patterns) {
+        const regex = new RegExp(pattern.source, 'g');
+        let match;
+
+        while ((match = regex.exec(text)) !== null) {
+          const hit = { category: flag.category, language, phrase: match[0] };
+          const dismissed = isNegated(text, match.index) || isHistorical(text, match.index, match[0].length);
+          (dismissed ? negated : matches).push(hit);
+        }
+      }
+    }
+  }
+
+  const categories = [...new Set(matches.map(match => match.category))];
+
+  return {
+    emergency: matches.length > 0,
+    categories,
+    matches,
+    negated
+  };
+}
+
+/**
+ * Build the reply shown instead of a provider answer when triage flags an emergency
+ * @param {TriageResult} triage - Triage result
+ * @param {Object} contact - Primary emergency contact row, if any
+ * @returns {string} Emergency response
+ */
+export function buildEmergencyResponse(triage, contact = null) {
+  const labels = triage.categories
+    .map(category => RED_FLAGS.find(flag => flag.category === category)?.label)
+    .filter(Boolean);
+
+  return [
+    `🚨 ${labels.length ? `You mentioned ${joinList(labels)}. ` : ''}This can be a life-threatening asthma attack. Call 911 or your local emergency number now - don't wait to see if it gets better.`,
+    '',
+    'While you wait for help:',
+    '• Sit upright and try to take slow, steady breaths.',
+    '• Take 1 puff of your reliever inhaler every 30-60 seconds, up to 10 puffs.',
+    '• If you feel worse or help hasn\'t arrived after 10 minutes, repeat the puffs.',
+    '',
+    contact
+      ? `Your primary emergency contact: ${contact.name}${contact.relationship ? ` (${contact.relationship})` : ''} - ${contact.phone_number}`
+      : 'Tell someone nearby what is happening. Add an emergency contact to your profile so it shows here next time.'
+  ].join('\n');
+}
+
+/**
+ * Helper Functions
+ */
+
+/**
+ * Normalize text for phrase matching
+ * @param {string} text - Raw text
+ * @returns {string} Lowercase text without accents or apostrophes, single-spaced
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['\u2019`\u00b4]/g, '')
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Whether a negation cue directly governs a match: it comes right before the match in the
+ * same clause, or is separated from it only by a couple of bridge words
+ * @param {string} text - Normalized text
+ * @param {number} index - Start of the match
+ * @returns {boolean} True if negated
+ */
+function isNegated(text, index) {
+  const before = text.slice(0, index);
+  let clauseStart = 0;
+
+  for (const boundary of before.matchAll(CLAUSE_BREAK)) {
+    clauseStart = boundary.index + boundary[0].length;
+  }
+
+  const words = before.slice(clauseStart).split(/[^a-z]+/).filter(Boolean).reverse();
+
+  for (const [position, word] of words.entries()) {
+    if (NEGATION_CUES.has(word)) return true;
+    if (position >= MAX_NEGATION_BRIDGES || !NEGATION_BRIDGES.has(word)) return false;
+  }
+
+  return false;
+}
+
+/**
+ * Whether the clause around a match refers to the past
+ * @param {string} text - Normalized text
+ * @param {number} index - Start of the match
+ * @param {number} length - Match length
+ * @returns {boolean} True if the clause has a history cue
+ */
+function isHistorical(text, index, length) {
+  const boundaries = [...text.matchAll(CLAUSE_BREAK)].map(boundary => boundary.index);
+  const start = Math.max(0, ...boundaries.filter(position => position < index));
+  const end = Math.min(text.length, ...boundaries.filter(position => position >= index + length));
+
+  return HISTORY_CUES.test(text.slice(start, end));
+}
+
+/**
+ * Join labels as "a, b and c"
+ * @param {Array<string>} items - Labels
+ * @returns {string} Joined text
+ */
+function joinList(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0];
+}
+
+// Default export
+export default {
+  classifyTriage,
+  buildEmergencyResponse
+};
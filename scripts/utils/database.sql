@@ -4,6 +4,9 @@
 -- Enable Row Level Security
 ALTER DATABASE postgres SET "app.jwt_secret" TO 'your-jwt-secret';
 
+-- Lets the appointments exclusion constraint combine doctor_id (=) with time ranges (&&)
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
 -- Create custom types
 CREATE TYPE user_role AS ENUM ('user', 'doctor', 'admin');
 CREATE TYPE appointment_status AS ENUM ('pending', 'confirmed', 'cancelled', 'completed');
@@ -36,6 +39,16 @@ CREATE TABLE user_profiles (
   UNIQUE(email)
 );
 
+-- Report Folders Table (user-defined folders in the reports library)
+CREATE TABLE report_folders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(user_id, name)
+);
+
 -- Health Reports Table
 CREATE TABLE health_reports (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -43,13 +56,112 @@ CREATE TABLE health_reports (
   filename VARCHAR(255) NOT NULL,
   original_filename VARCHAR(255) NOT NULL,
   file_path VARCHAR(500) NOT NULL,
-  file_url TEXT NOT NULL,
+  file_url TEXT,
   file_size BIGINT,
   file_type VARCHAR(100),
   document_type document_type NOT NULL,
   notes TEXT,
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  folder_id UUID REFERENCES report_folders(id) ON DELETE SET NULL,
+  date_of_service DATE,
+  version_group_id UUID NOT NULL DEFAULT gen_random_uuid(),
+  version INTEGER NOT NULL DEFAULT 1 CHECK (version > 0),
+  is_latest BOOLEAN NOT NULL DEFAULT TRUE,
+  is_encrypted BOOLEAN NOT NULL DEFAULT FALSE,
+  encryption_metadata JSONB,
+  file_missing_at TIMESTAMP WITH TIME ZONE,
+  extracted_text TEXT,
+  extraction_method VARCHAR(20) CHECK (extraction_method IN ('pdf-text', 'ocr', 'none')),
+  extracted_at TIMESTAMP WITH TIME ZONE,
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(filename, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(notes, '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(extracted_text, '')), 'C')
+  ) STORED,
   upload_date TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(version_group_id, version)
+);
+
+-- Lab Results Table (values read from health reports)
+CREATE TABLE lab_results (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  report_id UUID NOT NULL REFERENCES health_reports(id) ON DELETE CASCADE,
+  test_code VARCHAR(20) NOT NULL CHECK (test_code IN ('fev1', 'fvc', 'fev1_fvc', 'feno', 'ige', 'eosinophils')),
+  test_name VARCHAR(100) NOT NULL,
+  value NUMERIC NOT NULL,
+  unit VARCHAR(20) NOT NULL,
+  percent_predicted NUMERIC,
+  measured_on DATE,
+  source_text TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- User Encryption Keys Table (master key for encrypted reports, wrapped with the user's passphrase)
+CREATE TABLE user_encryption_keys (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  wrapped_key TEXT NOT NULL,
+  key_iv TEXT NOT NULL,
+  kdf VARCHAR(50) NOT NULL DEFAULT 'PBKDF2-SHA256',
+  kdf_salt TEXT NOT NULL,
+  kdf_iterations INTEGER NOT NULL CHECK (kdf_iterations >= 100000),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Report Shares Table (links that let a doctor open selected reports without an account)
+CREATE TABLE report_shares (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  pin_hash CHAR(64),
+  label VARCHAR(255),
+  report_ids UUID[] NOT NULL CHECK (cardinality(report_ids) > 0),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  failed_pin_attempts INTEGER NOT NULL DEFAULT 0,
+  access_count INTEGER NOT NULL DEFAULT 0,
+  last_accessed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT report_shares_max_lifetime CHECK (expires_at <= created_at + INTERVAL '90 days')
+);
+
+-- Report Share Grants Table (short-lived file access issued by open_report_share once the
+-- token and PIN check out; only the hash of the grant is stored)
+CREATE TABLE report_share_grants (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  share_id UUID NOT NULL REFERENCES report_shares(id) ON DELETE CASCADE,
+  grant_hash CHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Report Annotations Table (highlights and sticky notes; positions are fractions of the page)
+CREATE TABLE report_annotations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  report_id UUID NOT NULL REFERENCES health_reports(id) ON DELETE CASCADE,
+  page INTEGER NOT NULL DEFAULT 1 CHECK (page >= 1),
+  annotation_type VARCHAR(20) NOT NULL CHECK (annotation_type IN ('highlight', 'note')),
+  x NUMERIC(6,5) NOT NULL CHECK (x BETWEEN 0 AND 1),
+  y NUMERIC(6,5) NOT NULL CHECK (y BETWEEN 0 AND 1),
+  width NUMERIC(6,5) NOT NULL DEFAULT 0 CHECK (width BETWEEN 0 AND 1),
+  height NUMERIC(6,5) NOT NULL DEFAULT 0 CHECK (height BETWEEN 0 AND 1),
+  color VARCHAR(20) NOT NULL DEFAULT 'yellow',
+  content TEXT CHECK (char_length(content) <= 2000),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Storage Quotas Table (overrides of the default per-user quota, set by admins)
+CREATE TABLE storage_quotas (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  quota_bytes BIGINT NOT NULL CHECK (quota_bytes > 0),
+  reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -62,6 +174,13 @@ CREATE TABLE appointments (
   appointment_type VARCHAR(100) NOT NULL,
   appointment_date DATE NOT NULL,
   appointment_time TIME NOT NULL,
+  duration_minutes INTEGER NOT NULL DEFAULT 30 CHECK (duration_minutes BETWEEN 5 AND 240),
+  slot_range TSRANGE GENERATED ALWAYS AS (
+    tsrange(
+      appointment_date + appointment_time,
+      appointment_date + appointment_time + duration_minutes * INTERVAL '1 minute'
+    )
+  ) STORED,
   reason TEXT NOT NULL,
   notes TEXT,
   priority priority_level DEFAULT 'routine',
@@ -74,29 +193,47 @@ CREATE TABLE appointments (
   CONSTRAINT valid_appointment_datetime CHECK (
     appointment_date >= CURRENT_DATE OR 
     (appointment_date = CURRENT_DATE AND appointment_time > CURRENT_TIME)
-  )
+  ),
+
+  -- A doctor can't have two active appointments that overlap, however they were booked
+  CONSTRAINT appointments_no_double_booking EXCLUDE USING gist (
+    doctor_id WITH =,
+    slot_range WITH &&
+  ) WHERE (status <> 'cancelled')
+);
+
+-- Chat Sessions Table
+CREATE TABLE chat_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL DEFAULT 'New chat',
+  last_message_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 -- Chat History Table
 CREATE TABLE chat_history (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
-  session_id UUID DEFAULT gen_random_uuid(),
+  session_id UUID REFERENCES chat_sessions(id) ON DELETE CASCADE,
   user_message TEXT NOT NULL,
   ai_response TEXT NOT NULL,
   message_metadata JSONB DEFAULT '{}',
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    to_tsvector('english', COALESCE(user_message, '') || ' ' || COALESCE(ai_response, ''))
+  ) STORED,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 -- Air Quality Cache Table
 CREATE TABLE air_quality_cache (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  location VARCHAR(255) NOT NULL,
+  location VARCHAR(255) NOT NULL UNIQUE,
   data JSONB NOT NULL,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   expires_at TIMESTAMP WITH TIME ZONE DEFAULT (NOW() + INTERVAL '30 minutes'),
   
-  INDEX idx_air_quality_location (location),
   INDEX idx_air_quality_expires (expires_at)
 );
 
@@ -173,6 +310,45 @@ CREATE TABLE notifications (
   read_at TIMESTAMP WITH TIME ZONE
 );
 
+-- Saved Locations Table (home/work/school places monitored for air quality)
+CREATE TABLE saved_locations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  label VARCHAR(50) NOT NULL DEFAULT 'other', -- 'home', 'work', 'school', 'other'
+  name VARCHAR(255) NOT NULL,
+  query VARCHAR(255) NOT NULL,
+  latitude DECIMAL(9,6),
+  longitude DECIMAL(9,6),
+  alerts_enabled BOOLEAN DEFAULT TRUE,
+  alert_active BOOLEAN DEFAULT FALSE,
+  last_alert_at TIMESTAMP WITH TIME ZONE,
+  alert_cleared_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  
+  UNIQUE(user_id, label, query)
+);
+
+-- Air Quality History Table (readings recorded for saved locations)
+CREATE TABLE air_quality_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  location_id UUID NOT NULL REFERENCES saved_locations(id) ON DELETE CASCADE,
+  observed_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  pm2_5 DECIMAL(8,2), -- µg/m³
+  pm10 DECIMAL(8,2),
+  o3 DECIMAL(8,2),
+  no2 DECIMAL(8,2),
+  so2 DECIMAL(8,2),
+  co DECIMAL(10,2),
+  aqi INTEGER, -- US EPA
+  dominant_pollutant VARCHAR(10),
+  source VARCHAR(50),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  
+  UNIQUE(location_id, observed_at)
+);
+
 -- System Logs Table (for debugging and monitoring)
 CREATE TABLE system_logs (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -190,11 +366,26 @@ CREATE TABLE system_logs (
 CREATE INDEX idx_user_profiles_user_id ON user_profiles(user_id);
 CREATE INDEX idx_health_reports_user_id ON health_reports(user_id);
 CREATE INDEX idx_health_reports_type ON health_reports(document_type);
+CREATE INDEX idx_health_reports_user_latest ON health_reports(user_id, upload_date DESC) WHERE is_latest;
+CREATE INDEX idx_health_reports_folder ON health_reports(folder_id);
+CREATE INDEX idx_health_reports_tags ON health_reports USING GIN(tags);
+CREATE INDEX idx_health_reports_search ON health_reports USING GIN(search_vector);
+CREATE INDEX idx_report_folders_user_id ON report_folders(user_id);
+CREATE INDEX idx_report_shares_user_id ON report_shares(user_id, created_at DESC);
+CREATE INDEX idx_report_share_grants_share_id ON report_share_grants(share_id, expires_at);
+CREATE INDEX idx_report_annotations_report ON report_annotations(report_id, page);
+CREATE INDEX idx_lab_results_report ON lab_results(report_id);
+CREATE INDEX idx_lab_results_user_test ON lab_results(user_id, test_code, measured_on);
 CREATE INDEX idx_appointments_user_id ON appointments(user_id);
 CREATE INDEX idx_appointments_date ON appointments(appointment_date);
 CREATE INDEX idx_appointments_status ON appointments(status);
+CREATE INDEX idx_doctor_profiles_specialty ON doctor_profiles(specialty) WHERE is_active;
+CREATE INDEX idx_doctor_profiles_rating ON doctor_profiles(rating DESC) WHERE is_active;
 CREATE INDEX idx_chat_history_user_id ON chat_history(user_id);
-CREATE INDEX idx_chat_history_session ON chat_history(session_id);
+CREATE INDEX idx_chat_history_session ON chat_history(session_id, created_at);
+CREATE INDEX idx_chat_history_user_created ON chat_history(user_id, created_at DESC);
+CREATE INDEX idx_chat_history_search ON chat_history USING GIN(search_vector);
+CREATE INDEX idx_chat_sessions_user_last_message ON chat_sessions(user_id, last_message_at DESC);
 CREATE INDEX idx_symptoms_user_id ON symptoms(user_id);
 CREATE INDEX idx_symptoms_recorded_at ON symptoms(recorded_at);
 CREATE INDEX idx_medications_user_id ON medications(user_id);
@@ -202,18 +393,36 @@ CREATE INDEX idx_medications_taken_at ON medications(taken_at);
 CREATE INDEX idx_emergency_contacts_user_id ON emergency_contacts(user_id);
 CREATE INDEX idx_notifications_user_id ON notifications(user_id);
 CREATE INDEX idx_notifications_is_read ON notifications(is_read);
+CREATE UNIQUE INDEX idx_notifications_episode ON notifications(user_id, (metadata->>'episode_key'))
+  WHERE metadata ? 'episode_key';
+CREATE INDEX idx_saved_locations_user_id ON saved_locations(user_id);
+CREATE INDEX idx_air_quality_history_user_observed ON air_quality_history(user_id, observed_at DESC);
 CREATE INDEX idx_system_logs_user_id ON system_logs(user_id);
 CREATE INDEX idx_system_logs_created_at ON system_logs(created_at);
+CREATE INDEX idx_system_logs_resource ON system_logs(resource_type, resource_id);
 
 -- Enable Row Level Security (RLS)
 ALTER TABLE user_profiles ENABLE ROW LEVEL SECURITY;
 ALTER TABLE health_reports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE report_folders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE report_shares ENABLE ROW LEVEL SECURITY;
+-- No policies: grants are only read and written by open_report_share and report_object_is_shared
+ALTER TABLE report_share_grants ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_encryption_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE report_annotations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE storage_quotas ENABLE ROW LEVEL SECURITY;
 ALTER TABLE appointments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE doctor_profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE lab_results ENABLE ROW LEVEL SECURITY;
 ALTER TABLE chat_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE chat_sessions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE symptoms ENABLE ROW LEVEL SECURITY;
 ALTER TABLE medications ENABLE ROW LEVEL SECURITY;
 ALTER TABLE emergency_contacts ENABLE ROW LEVEL SECURITY;
 ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE saved_locations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE air_quality_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE system_logs ENABLE ROW LEVEL SECURITY;
 
 -- RLS Policies for user_profiles
 CREATE POLICY "Users can view own profile" ON user_profiles
@@ -238,16 +447,122 @@ CREATE POLICY "Users can update own health reports" ON health_reports
 CREATE POLICY "Users can delete own health reports" ON health_reports
   FOR DELETE USING (auth.uid() = user_id);
 
--- RLS Policies for appointments
-CREATE POLICY "Users can view own appointments" ON appointments
+-- RLS Policies for report_folders
+CREATE POLICY "Users can view own report folders" ON report_folders
   FOR SELECT USING (auth.uid() = user_id);
 
-CREATE POLICY "Users can insert own appointments" ON appointments
+CREATE POLICY "Users can insert own report folders" ON report_folders
   FOR INSERT WITH CHECK (auth.uid() = user_id);
 
-CREATE POLICY "Users can update own appointments" ON appointments
+CREATE POLICY "Users can update own report folders" ON report_folders
   FOR UPDATE USING (auth.uid() = user_id);
 
+CREATE POLICY "Users can delete own report folders" ON report_folders
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- RLS Policies for report_shares
+CREATE POLICY "Users can view own report shares" ON report_shares
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own report shares" ON report_shares
+  FOR INSERT WITH CHECK (
+    auth.uid() = user_id
+    AND NOT EXISTS (
+      SELECT 1 FROM unnest(report_ids) AS shared(report_id)
+      WHERE NOT EXISTS (
+        SELECT 1 FROM health_reports hr
+        WHERE hr.id = shared.report_id AND hr.user_id = auth.uid() AND NOT hr.is_encrypted
+      )
+    )
+  );
+
+CREATE POLICY "Users can update own report shares" ON report_shares
+  FOR UPDATE USING (auth.uid() = user_id)
+  WITH CHECK (
+    auth.uid() = user_id
+    AND NOT EXISTS (
+      SELECT 1 FROM health_reports hr
+      WHERE hr.id = ANY(report_ids) AND hr.is_encrypted
+    )
+  );
+
+CREATE POLICY "Users can delete own report shares" ON report_shares
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- Owners can only revoke a share; the reports, expiry, PIN and counters stay as created
+REVOKE UPDATE ON report_shares FROM anon, authenticated;
+GRANT UPDATE (revoked_at) ON report_shares TO authenticated;
+
+-- RLS Policies for user_encryption_keys
+CREATE POLICY "Users can view own encryption key" ON user_encryption_keys
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own encryption key" ON user_encryption_keys
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own encryption key" ON user_encryption_keys
+  FOR UPDATE USING (auth.uid() = user_id);
+
+-- RLS Policies for report_annotations (not allowed on encrypted reports, whose contents stay on the device)
+CREATE POLICY "Users can view own report annotations" ON report_annotations
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own report annotations" ON report_annotations
+  FOR INSERT WITH CHECK (
+    auth.uid() = user_id
+    AND EXISTS (
+      SELECT 1 FROM health_reports hr
+      WHERE hr.id = report_id AND hr.user_id = auth.uid() AND NOT hr.is_encrypted
+    )
+  );
+
+CREATE POLICY "Users can update own report annotations" ON report_annotations
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own report annotations" ON report_annotations
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- RLS Policies for storage_quotas (users can read their quota, only admins change it)
+CREATE POLICY "Users can view own storage quota" ON storage_quotas
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Admins can manage storage quotas" ON storage_quotas
+  FOR ALL USING (
+    EXISTS (SELECT 1 FROM user_profiles WHERE user_id = auth.uid() AND role = 'admin')
+  );
+
+-- RLS Policies for lab_results
+CREATE POLICY "Users can view own lab results" ON lab_results
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own lab results" ON lab_results
+  FOR INSERT WITH CHECK (
+    auth.uid() = user_id
+    AND EXISTS (SELECT 1 FROM health_reports hr WHERE hr.id = report_id AND hr.user_id = auth.uid())
+  );
+
+CREATE POLICY "Users can update own lab results" ON lab_results
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own lab results" ON lab_results
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- RLS Policies for doctor_profiles (the directory is public, only admins edit it)
+CREATE POLICY "Anyone can view active doctors" ON doctor_profiles
+  FOR SELECT USING (is_active);
+
+CREATE POLICY "Admins can manage doctor profiles" ON doctor_profiles
+  FOR ALL USING (
+    EXISTS (SELECT 1 FROM user_profiles WHERE user_id = auth.uid() AND role = 'admin')
+  );
+
+-- RLS Policies for appointments
+CREATE POLICY "Users can view own appointments" ON appointments
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- No INSERT or UPDATE policies: appointments are booked, moved and cancelled only through
+-- book_appointment, reschedule_appointment and cancel_appointment, which check the slot
+
 CREATE POLICY "Users can delete own appointments" ON appointments
   FOR DELETE USING (auth.uid() = user_id);
 
@@ -256,7 +571,25 @@ CREATE POLICY "Users can view own chat history" ON chat_history
   FOR SELECT USING (auth.uid() = user_id OR user_id IS NULL);
 
 CREATE POLICY "Users can insert own chat history" ON chat_history
-  FOR INSERT WITH CHECK (auth.uid() = user_id OR user_id IS NULL);
+  FOR INSERT WITH CHECK (
+    (auth.uid() = user_id OR user_id IS NULL) AND
+    (session_id IS NULL OR EXISTS (
+      SELECT 1 FROM chat_sessions cs WHERE cs.id = session_id AND cs.user_id = auth.uid()
+    ))
+  );
+
+-- RLS Policies for chat_sessions
+CREATE POLICY "Users can view own chat sessions" ON chat_sessions
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own chat sessions" ON chat_sessions
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own chat sessions" ON chat_sessions
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own chat sessions" ON chat_sessions
+  FOR DELETE USING (auth.uid() = user_id);
 
 -- RLS Policies for symptoms
 CREATE POLICY "Users can view own symptoms" ON symptoms
@@ -301,9 +634,48 @@ CREATE POLICY "Users can delete own emergency contacts" ON emergency_contacts
 CREATE POLICY "Users can view own notifications" ON notifications
   FOR SELECT USING (auth.uid() = user_id);
 
+CREATE POLICY "Users can insert own notifications" ON notifications
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
 CREATE POLICY "Users can update own notifications" ON notifications
   FOR UPDATE USING (auth.uid() = user_id);
 
+-- RLS Policies for saved_locations
+CREATE POLICY "Users can view own saved locations" ON saved_locations
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own saved locations" ON saved_locations
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own saved locations" ON saved_locations
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own saved locations" ON saved_locations
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- RLS Policies for air_quality_history
+CREATE POLICY "Users can view own air quality history" ON air_quality_history
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own air quality history" ON air_quality_history
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own air quality history" ON air_quality_history
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- RLS Policies for system_logs (written by the app, read by admins only). Events without a
+-- signed-in user go through SECURITY DEFINER functions such as open_report_share.
+CREATE POLICY "Users can insert own system logs" ON system_logs
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Admins can view system logs" ON system_logs
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM user_profiles WHERE user_id = auth.uid() AND role = 'admin')
+  );
+
+CREATE POLICY "Users can view access logs of own report shares" ON system_logs
+  FOR SELECT USING (auth.uid() = user_id AND resource_type = 'report_share');
+
 -- Storage Buckets Setup
 INSERT INTO storage.buckets (id, name, public) VALUES 
   ('health-reports', 'health-reports', false),
@@ -312,9 +684,7 @@ INSERT INTO storage.buckets (id, name, public) VALUES
   ('documents', 'documents', false);
 
 -- Storage RLS Policies
-CREATE POLICY "Users can upload own health reports"
-  ON storage.objects FOR INSERT
-  WITH CHECK (bucket_id = 'health-reports' AND auth.uid()::text = (storage.foldername(name))[1]);
+-- The health-reports upload policy is created with storage_upload_within_quota below
 
 CREATE POLICY "Users can view own health reports"
   ON storage.objects FOR SELECT
@@ -324,6 +694,19 @@ CREATE POLICY "Users can delete own health reports"
   ON storage.objects FOR DELETE
   USING (bucket_id = 'health-reports' AND auth.uid()::text = (storage.foldername(name))[1]);
 
+-- Chat attachments policies ({user_id}/{session_id}/file)
+CREATE POLICY "Users can upload own chat attachments"
+  ON storage.objects FOR INSERT
+  WITH CHECK (bucket_id = 'chat-attachments' AND auth.uid()::text = (storage.foldername(name))[1]);
+
+CREATE POLICY "Users can view own chat attachments"
+  ON storage.objects FOR SELECT
+  USING (bucket_id = 'chat-attachments' AND auth.uid()::text = (storage.foldername(name))[1]);
+
+CREATE POLICY "Users can delete own chat attachments"
+  ON storage.objects FOR DELETE
+  USING (bucket_id = 'chat-attachments' AND auth.uid()::text = (storage.foldername(name))[1]);
+
 -- Profile images policies (public read)
 CREATE POLICY "Profile images are publicly readable"
   ON storage.objects FOR SELECT
@@ -357,6 +740,22 @@ CREATE TRIGGER update_health_reports_updated_at
   BEFORE UPDATE ON health_reports 
   FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
 
+CREATE TRIGGER update_report_folders_updated_at 
+  BEFORE UPDATE ON report_folders 
+  FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+
+CREATE TRIGGER update_user_encryption_keys_updated_at 
+  BEFORE UPDATE ON user_encryption_keys 
+  FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+
+CREATE TRIGGER update_report_annotations_updated_at 
+  BEFORE UPDATE ON report_annotations 
+  FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+
+CREATE TRIGGER update_storage_quotas_updated_at 
+  BEFORE UPDATE ON storage_quotas 
+  FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+
 CREATE TRIGGER update_appointments_updated_at 
   BEFORE UPDATE ON appointments 
   FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
@@ -365,6 +764,569 @@ CREATE TRIGGER update_emergency_contacts_updated_at
   BEFORE UPDATE ON emergency_contacts 
   FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
 
+CREATE TRIGGER update_saved_locations_updated_at 
+  BEFORE UPDATE ON saved_locations 
+  FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+
+CREATE TRIGGER update_chat_sessions_updated_at 
+  BEFORE UPDATE ON chat_sessions 
+  FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+
+-- Keep chat_sessions.last_message_at in step with new turns so the sidebar sorts by activity
+CREATE OR REPLACE FUNCTION touch_chat_session()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.session_id IS NOT NULL THEN
+    UPDATE chat_sessions SET last_message_at = NEW.created_at WHERE id = NEW.session_id;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER touch_chat_session_on_message
+  AFTER INSERT ON chat_history
+  FOR EACH ROW EXECUTE PROCEDURE touch_chat_session();
+
+-- Only the newest version of a report shows in the library; older ones stay as history
+CREATE OR REPLACE FUNCTION mark_previous_report_versions()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.is_latest THEN
+    UPDATE health_reports
+    SET is_latest = FALSE
+    WHERE version_group_id = NEW.version_group_id
+      AND id <> NEW.id
+      AND is_latest;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER mark_previous_report_versions_on_insert
+  AFTER INSERT ON health_reports
+  FOR EACH ROW EXECUTE PROCEDURE mark_previous_report_versions();
+
+-- Share tokens and PINs are stored as SHA-256 hex; the PIN is hashed together with its token
+CREATE OR REPLACE FUNCTION report_share_hash(value TEXT)
+RETURNS TEXT AS $$
+  SELECT encode(sha256(convert_to(value, 'UTF8')), 'hex');
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Whether the access grant in the request headers allows reading a stored report. Grants are
+-- only issued by open_report_share, so the PIN is never checked here, where wrong guesses
+-- would not count towards the lockout or be logged.
+CREATE OR REPLACE FUNCTION report_object_is_shared(object_name TEXT)
+RETURNS BOOLEAN AS $$
+DECLARE
+  access_grant TEXT := NULLIF(current_setting('request.headers', true), '')::JSON->>'x-share-grant';
+BEGIN
+  IF access_grant IS NULL THEN
+    RETURN FALSE;
+  END IF;
+
+  RETURN EXISTS (
+    SELECT 1
+    FROM report_share_grants g
+    JOIN report_shares rs ON rs.id = g.share_id
+    JOIN health_reports hr ON hr.id = ANY(rs.report_ids) AND hr.user_id = rs.user_id
+    WHERE g.grant_hash = report_share_hash(access_grant)
+      AND g.expires_at > NOW()
+      AND rs.revoked_at IS NULL
+      AND rs.expires_at > NOW()
+      AND hr.file_path = object_name
+  );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Share links send the x-share-grant header returned by open_report_share with their storage requests
+CREATE POLICY "Shared health reports are readable with a valid share grant"
+  ON storage.objects FOR SELECT
+  USING (bucket_id = 'health-reports' AND report_object_is_shared(name));
+
+-- Open a share link: checks expiry, revocation and PIN, logs the attempt and lists the reports.
+-- Five wrong PINs lock the link until the owner creates a new one. A successful open returns an
+-- access grant, valid for 30 minutes, that storage requests for the shared files must carry.
+CREATE OR REPLACE FUNCTION open_report_share(share_token TEXT, share_pin TEXT DEFAULT NULL)
+RETURNS JSONB AS $$
+DECLARE
+  share report_shares%ROWTYPE;
+  client_agent TEXT := NULLIF(current_setting('request.headers', true), '')::JSON->>'user-agent';
+  denial TEXT;
+  access_grant TEXT;
+  grant_expires_at TIMESTAMP WITH TIME ZONE;
+BEGIN
+  -- Locking the row makes parallel PIN guesses wait for each other, so each sees the last count
+  SELECT * INTO share FROM report_shares WHERE token_hash = report_share_hash(share_token) FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('status', 'invalid');
+  END IF;
+
+  denial := CASE
+    WHEN share.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN share.expires_at <= NOW() THEN 'expired'
+    WHEN share.failed_pin_attempts >= 5 THEN 'locked'
+  END;
+
+  IF denial IS NULL AND share.pin_hash IS NOT NULL THEN
+    IF share_pin IS NULL OR share_pin = '' THEN
+      RETURN jsonb_build_object('status', 'pin_required', 'label', share.label);
+    END IF;
+
+    IF share.pin_hash <> report_share_hash(share_token || ':' || share_pin) THEN
+      UPDATE report_shares SET failed_pin_attempts = failed_pin_attempts + 1 WHERE id = share.id;
+      denial := 'wrong_pin';
+    END IF;
+  END IF;
+
+  IF denial IS NOT NULL THEN
+    INSERT INTO system_logs (user_id, action, resource_type, resource_id, details, user_agent)
+    VALUES (share.user_id, 'report_share_denied', 'report_share', share.id, jsonb_build_object('reason', denial), client_agent);
+
+    RETURN jsonb_build_object(
+      'status', denial,
+      'attempts_left', GREATEST(0, 5 - share.failed_pin_attempts - CASE WHEN denial = 'wrong_pin' THEN 1 ELSE 0 END)
+    );
+  END IF;
+
+  UPDATE report_shares
+  SET access_count = access_count + 1, last_accessed_at = NOW(), failed_pin_attempts = 0
+  WHERE id = share.id;
+
+  INSERT INTO system_logs (user_id, action, resource_type, resource_id, details, user_agent)
+  VALUES (share.user_id, 'report_share_opened', 'report_share', share.id, jsonb_build_object('report_ids', share.report_ids), client_agent);
+
+  -- Two random UUIDs give 244 random bits without needing pgcrypto
+  access_grant := replace(gen_random_uuid()::TEXT || gen_random_uuid()::TEXT, '-', '');
+  grant_expires_at := LEAST(NOW() + INTERVAL '30 minutes', share.expires_at);
+
+  DELETE FROM report_share_grants WHERE share_id = share.id AND expires_at <= NOW();
+
+  INSERT INTO report_share_grants (share_id, grant_hash, expires_at)
+  VALUES (share.id, report_share_hash(access_grant), grant_expires_at);
+
+  RETURN jsonb_build_object(
+    'status', 'ok',
+    'label', share.label,
+    'expires_at', share.expires_at,
+    'access_grant', access_grant,
+    'grant_expires_at', grant_expires_at,
+    'reports', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'id', hr.id,
+        'filename', hr.filename,
+        'file_path', hr.file_path,
+        'file_type', hr.file_type,
+        'file_size', hr.file_size,
+        'document_type', hr.document_type,
+        'date_of_service', hr.date_of_service,
+        'upload_date', hr.upload_date
+      ) ORDER BY hr.date_of_service DESC NULLS LAST, hr.upload_date DESC), '[]'::JSONB)
+      FROM health_reports hr
+      WHERE hr.id = ANY(share.report_ids) AND hr.user_id = share.user_id
+    )
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Record that chat triage answered a message with the emergency response, for signed-in users
+-- only (signed-out triage is not stored, so nobody can fill system_logs anonymously). The action
+-- and the shape of details are fixed here: only known categories and languages, at most 10 short
+-- phrases, and the session only if it is the caller's.
+CREATE OR REPLACE FUNCTION log_chat_emergency_triage(
+  session UUID,
+  categories TEXT[],
+  languages TEXT[],
+  phrases TEXT[],
+  contact_shown BOOLEAN
+)
+RETURNS VOID AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  INSERT INTO system_logs (user_id, action, resource_type, resource_id, details, user_agent)
+  VALUES (
+    auth.uid(),
+    'chat_emergency_triage',
+    'chat_session',
+    (SELECT cs.id FROM chat_sessions cs WHERE cs.id = session AND cs.user_id = auth.uid()),
+    jsonb_build_object(
+      'categories', ARRAY(
+        SELECT DISTINCT c FROM unnest(categories) AS c
+        WHERE c IN ('breathing', 'cyanosis', 'reliever_not_working', 'consciousness', 'chest_pain', 'severe_attack')
+      ),
+      'languages', ARRAY(
+        SELECT DISTINCT l FROM unnest(languages) AS l WHERE l IN ('en', 'es', 'fr', 'de', 'pt', 'it')
+      ),
+      'phrases', ARRAY(SELECT left(p, 100) FROM unnest(phrases) AS p LIMIT 10),
+      'contact_shown', COALESCE(contact_shown, FALSE)
+    ),
+    left(NULLIF(current_setting('request.headers', true), '')::JSON->>'user-agent', 500)
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Storage quota of a user: their storage_quotas row, or 500 MB
+CREATE OR REPLACE FUNCTION storage_quota_bytes(user_uuid UUID)
+RETURNS BIGINT AS $$
+  SELECT COALESCE(
+    (SELECT quota_bytes FROM storage_quotas WHERE user_id = user_uuid),
+    500 * 1024 * 1024
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Bytes a user stores in the health-reports bucket, counted from the stored objects themselves
+-- (so files without a health_reports row count too, until the reconciliation job removes them)
+CREATE OR REPLACE FUNCTION health_report_storage_used(user_uuid UUID)
+RETURNS BIGINT AS $$
+  SELECT COALESCE(SUM((metadata->>'size')::BIGINT), 0)
+  FROM storage.objects
+  WHERE bucket_id = 'health-reports'
+    AND (storage.foldername(name))[1] = user_uuid::text;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Whether a new health-reports object fits in the signed-in user's quota. Used by the storage
+-- INSERT policy, so files uploaded without a report row are limited too. Uploads running at the
+-- same time can each see the usage from before the others; enforce_storage_quota checks again
+-- when the report row is saved.
+CREATE OR REPLACE FUNCTION storage_upload_within_quota(object_metadata JSONB)
+RETURNS BOOLEAN AS $$
+  SELECT health_report_storage_used(auth.uid()) + COALESCE((object_metadata->>'size')::BIGINT, 0)
+    <= storage_quota_bytes(auth.uid());
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE POLICY "Users can upload own health reports"
+  ON storage.objects FOR INSERT
+  WITH CHECK (
+    bucket_id = 'health-reports'
+    AND auth.uid()::text = (storage.foldername(name))[1]
+    AND storage_upload_within_quota(metadata)
+  );
+
+-- Storage usage of the signed-in user
+CREATE OR REPLACE FUNCTION get_storage_usage()
+RETURNS JSONB AS $$
+DECLARE
+  used BIGINT;
+  quota BIGINT;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  used := health_report_storage_used(auth.uid());
+  quota := storage_quota_bytes(auth.uid());
+
+  RETURN jsonb_build_object(
+    'used_bytes', used,
+    'quota_bytes', quota,
+    'remaining_bytes', GREATEST(0, quota - used),
+    'report_count', (SELECT COUNT(*) FROM health_reports WHERE user_id = auth.uid()),
+    'object_count', (
+      SELECT COUNT(*) FROM storage.objects
+      WHERE bucket_id = 'health-reports' AND (storage.foldername(name))[1] = auth.uid()::text
+    )
+  );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Refuse a report whose file takes the user over their quota. The file is already in storage
+-- at this point, so it is part of the usage; the client removes it when the insert fails.
+CREATE OR REPLACE FUNCTION enforce_storage_quota()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF health_report_storage_used(NEW.user_id) > storage_quota_bytes(NEW.user_id) THEN
+    RAISE EXCEPTION 'Storage quota exceeded'
+      USING HINT = 'Delete some documents or ask for a larger quota';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER enforce_storage_quota_on_insert
+  BEFORE INSERT ON health_reports
+  FOR EACH ROW EXECUTE PROCEDURE enforce_storage_quota();
+
+-- Mismatches between the health-reports bucket and the health_reports table, for the
+-- reconciliation job (npm run storage:reconcile):
+--   orphan_object  - a stored file no report row points to
+--   missing_object - a report row whose file is gone
+-- Anything newer than min_age is skipped so uploads in progress are not reported.
+CREATE OR REPLACE FUNCTION find_report_storage_mismatches(min_age INTERVAL DEFAULT INTERVAL '1 day')
+RETURNS TABLE (
+  issue TEXT,
+  user_id UUID,
+  report_id UUID,
+  object_name TEXT,
+  size_bytes BIGINT,
+  created_at TIMESTAMP WITH TIME ZONE,
+  file_missing_at TIMESTAMP WITH TIME ZONE
+) AS $$
+  SELECT
+    'orphan_object',
+    CASE WHEN (storage.foldername(o.name))[1] ~ '^[0-9a-f-]{36}$' THEN (storage.foldername(o.name))[1]::UUID END,
+    NULL::UUID,
+    o.name,
+    (o.metadata->>'size')::BIGINT,
+    o.created_at,
+    NULL::TIMESTAMP WITH TIME ZONE
+  FROM storage.objects o
+  WHERE o.bucket_id = 'health-reports'
+    AND o.created_at < NOW() - min_age
+    AND NOT EXISTS (SELECT 1 FROM health_reports hr WHERE hr.file_path = o.name)
+  UNION ALL
+  SELECT
+    'missing_object',
+    hr.user_id,
+    hr.id,
+    hr.file_path,
+    hr.file_size,
+    hr.created_at,
+    hr.file_missing_at
+  FROM health_reports hr
+  WHERE hr.created_at < NOW() - min_age
+    AND NOT EXISTS (
+      SELECT 1 FROM storage.objects o WHERE o.bucket_id = 'health-reports' AND o.name = hr.file_path
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Bookable slots of a doctor between two dates (at most 92 days), in clinic-local time.
+-- doctor_profiles.available_hours is expanded as follows:
+--   weekly       {"mon": [{"start": "09:00", "end": "17:00"}], ...}  working hours per weekday
+--   breaks       [{"start": "12:00", "end": "13:00", "days": ["mon"]}] recurring; no days = every day
+--   time_off     [{"start": "2026-12-24", "end": "2026-12-26"}]       whole days, inclusive
+--   slot_minutes length of one appointment (default 30)
+--   timezone     clinic time zone (default UTC), used to hide slots that have already started
+-- Slots that overlap a break or an active appointment are left out.
+CREATE OR REPLACE FUNCTION get_available_slots(doctor TEXT, from_date DATE, to_date DATE)
+RETURNS TABLE (slot_date DATE, slot_time TIME, duration_minutes INTEGER) AS $$
+DECLARE
+  hours JSONB;
+  slot_length INTEGER;
+  clinic_now TIMESTAMP;
+BEGIN
+  SELECT dp.available_hours INTO hours
+  FROM doctor_profiles dp
+  WHERE dp.doctor_id = doctor AND dp.is_active;
+
+  IF NOT FOUND OR hours IS NULL OR to_date < from_date OR to_date - from_date > 92 THEN
+    RETURN;
+  END IF;
+
+  slot_length := COALESCE((hours->>'slot_minutes')::INTEGER, 30);
+  clinic_now := NOW() AT TIME ZONE COALESCE(hours->>'timezone', 'UTC');
+
+  RETURN QUERY
+  WITH days AS (
+    SELECT day::DATE AS day, lower(to_char(day, 'Dy')) AS weekday
+    FROM generate_series(GREATEST(from_date, clinic_now::DATE)::TIMESTAMP, to_date::TIMESTAMP, INTERVAL '1 day') AS day
+  ),
+  shifts AS (
+    SELECT days.day, days.weekday, (shift->>'start')::TIME AS shift_start, (shift->>'end')::TIME AS shift_end
+    FROM days, jsonb_array_elements(COALESCE(hours->'weekly'->days.weekday, '[]'::JSONB)) AS shift
+  ),
+  candidates AS (
+    SELECT shifts.day, shifts.weekday, slot_start, slot_start + slot_length * INTERVAL '1 minute' AS slot_end
+    FROM shifts, generate_series(
+      shifts.day + shifts.shift_start,
+      shifts.day + shifts.shift_end - slot_length * INTERVAL '1 minute',
+      slot_length * INTERVAL '1 minute'
+    ) AS slot_start
+  )
+  SELECT c.slot_start::DATE, c.slot_start::TIME, slot_length
+  FROM candidates c
+  WHERE c.slot_start > clinic_now
+    AND NOT EXISTS (
+      SELECT 1 FROM jsonb_array_elements(COALESCE(hours->'time_off', '[]'::JSONB)) AS off
+      WHERE c.day BETWEEN (off->>'start')::DATE AND COALESCE((off->>'end')::DATE, (off->>'start')::DATE)
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM jsonb_array_elements(COALESCE(hours->'breaks', '[]'::JSONB)) AS pause
+      WHERE (pause->'days' IS NULL OR pause->'days' ? c.weekday)
+        AND tsrange(c.slot_start, c.slot_end) && tsrange(c.day + (pause->>'start')::TIME, c.day + (pause->>'end')::TIME)
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM appointments a
+      WHERE a.doctor_id = doctor
+        AND a.status <> 'cancelled'
+        AND a.slot_range && tsrange(c.slot_start, c.slot_end)
+    )
+  ORDER BY c.slot_start;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Book one of a doctor's available slots for the signed-in user. The slot is checked against
+-- get_available_slots; appointments_no_double_booking turns a simultaneous booking into an error.
+CREATE OR REPLACE FUNCTION book_appointment(
+  doctor TEXT,
+  booking_date DATE,
+  booking_time TIME,
+  visit_type TEXT,
+  visit_reason TEXT,
+  visit_priority priority_level DEFAULT 'routine',
+  visit_notes TEXT DEFAULT NULL
+)
+RETURNS appointments AS $$
+DECLARE
+  slot_length INTEGER;
+  booked appointments;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  SELECT s.duration_minutes INTO slot_length
+  FROM get_available_slots(doctor, booking_date, booking_date) s
+  WHERE s.slot_time = booking_time;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'This time is not available. Please choose another slot.';
+  END IF;
+
+  INSERT INTO appointments (
+    user_id, doctor_id, doctor_name, appointment_type, appointment_date, appointment_time,
+    duration_minutes, reason, notes, priority, status
+  )
+  VALUES (
+    auth.uid(), doctor, (SELECT full_name FROM doctor_profiles WHERE doctor_id = doctor), visit_type,
+    booking_date, booking_time, slot_length, visit_reason, visit_notes, visit_priority, 'pending'
+  )
+  RETURNING * INTO booked;
+
+  RETURN booked;
+EXCEPTION
+  WHEN exclusion_violation THEN
+    RAISE EXCEPTION 'This time was just booked. Please choose another slot.';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Move one of the signed-in user's appointments to another available slot of the same doctor
+CREATE OR REPLACE FUNCTION reschedule_appointment(appointment UUID, booking_date DATE, booking_time TIME)
+RETURNS appointments AS $$
+DECLARE
+  existing appointments;
+  slot_length INTEGER;
+  moved appointments;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  SELECT * INTO existing
+  FROM appointments
+  WHERE id = appointment AND user_id = auth.uid() AND status <> 'cancelled';
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Appointment not found';
+  END IF;
+
+  SELECT s.duration_minutes INTO slot_length
+  FROM get_available_slots(existing.doctor_id, booking_date, booking_date) s
+  WHERE s.slot_time = booking_time;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'This time is not available. Please choose another slot.';
+  END IF;
+
+  UPDATE appointments
+  SET appointment_date = booking_date,
+      appointment_time = booking_time,
+      duration_minutes = slot_length,
+      status = 'pending'
+  WHERE id = existing.id
+  RETURNING * INTO moved;
+
+  RETURN moved;
+EXCEPTION
+  WHEN exclusion_violation THEN
+    RAISE EXCEPTION 'This time was just booked. Please choose another slot.';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Cancel one of the signed-in user's appointments, which frees its slot
+CREATE OR REPLACE FUNCTION cancel_appointment(appointment UUID)
+RETURNS appointments AS $$
+DECLARE
+  cancelled appointments;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  UPDATE appointments
+  SET status = 'cancelled',
+      cancelled_at = NOW()
+  WHERE id = appointment AND user_id = auth.uid() AND status <> 'cancelled'
+  RETURNING * INTO cancelled;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Appointment not found';
+  END IF;
+
+  RETURN cancelled;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Doctor directory: active doctors matching an optional search (name, specialty or bio) and
+-- specialty, sorted by 'rating', 'next_available' or 'name', one page at a time. The next free
+-- slot is looked up over the coming 30 days (NULL when there is none). total_count is the
+-- number of matches before paging. % and _ in the search are matched literally.
+CREATE OR REPLACE FUNCTION search_doctors(
+  search TEXT DEFAULT NULL,
+  specialty_filter TEXT DEFAULT NULL,
+  sort_by TEXT DEFAULT 'rating',
+  page_size INTEGER DEFAULT 6,
+  page_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  doctor_id VARCHAR,
+  full_name VARCHAR,
+  specialty VARCHAR,
+  credentials TEXT[],
+  bio TEXT,
+  profile_image_url TEXT,
+  rating DECIMAL,
+  review_count INTEGER,
+  next_available_date DATE,
+  next_available_time TIME,
+  total_count BIGINT
+) AS $$
+  WITH pattern AS (
+    SELECT '%' || replace(replace(replace(search, '\', '\\'), '%', '\%'), '_', '\_') || '%' AS value
+  ),
+  matches AS (
+    SELECT dp.*, COUNT(*) OVER () AS total
+    FROM doctor_profiles dp, pattern p
+    WHERE dp.is_active
+      AND (
+        COALESCE(search, '') = ''
+        OR dp.full_name ILIKE p.value ESCAPE '\'
+        OR dp.specialty ILIKE p.value ESCAPE '\'
+        OR dp.bio ILIKE p.value ESCAPE '\'
+      )
+      AND (COALESCE(specialty_filter, '') = '' OR dp.specialty = specialty_filter)
+  )
+  SELECT
+    m.doctor_id, m.full_name, m.specialty, m.credentials, m.bio, m.profile_image_url,
+    m.rating, m.review_count, next_slot.slot_date, next_slot.slot_time, m.total
+  FROM matches m
+  LEFT JOIN LATERAL (
+    SELECT s.slot_date, s.slot_time
+    FROM get_available_slots(m.doctor_id, CURRENT_DATE, CURRENT_DATE + 30) s
+    LIMIT 1
+  ) next_slot ON TRUE
+  ORDER BY
+    CASE WHEN sort_by = 'next_available' THEN next_slot.slot_date + next_slot.slot_time END ASC NULLS LAST,
+    CASE WHEN sort_by = 'name' THEN m.full_name END ASC,
+    m.rating DESC NULLS LAST,
+    m.review_count DESC,
+    m.full_name
+  LIMIT LEAST(GREATEST(page_size, 1), 50)
+  OFFSET GREATEST(page_offset, 0);
+$$ LANGUAGE sql STABLE;
+
 -- Function to create user profile on signup
 CREATE OR REPLACE FUNCTION public.handle_new_user()
 RETURNS TRIGGER AS $$
@@ -385,12 +1347,13 @@ CREATE TRIGGER on_auth_user_created
   FOR EACH ROW EXECUTE PROCEDURE public.handle_new_user();
 
 -- Function to clean up expired air quality cache
+-- Expired rows are kept for a day so clients can fall back to them when providers are down
 CREATE OR REPLACE FUNCTION clean_expired_air_quality_cache()
 RETURNS void AS $$
 BEGIN
-  DELETE FROM air_quality_cache WHERE expires_at < NOW();
+  DELETE FROM air_quality_cache WHERE expires_at < NOW() - INTERVAL '24 hours';
 END;
-$$ LANGUAGE plpgsql;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
 
 -- Function to generate health summary
 CREATE OR REPLACE FUNCTION get_user_health_summary(user_uuid UUID)
@@ -453,12 +1416,19 @@ END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
 -- Sample Doctor Data
-INSERT INTO doctor_profiles (doctor_id, full_name, specialty, credentials, bio, rating, review_count) VALUES
-('dr-smith', 'Dr. Sarah Smith', 'Pulmonologist', ARRAY['MD', 'Board Certified in Pulmonary Medicine'], 'Dr. Smith has over 15 years of experience treating respiratory conditions with a focus on asthma and COPD.', 4.9, 127),
-('dr-johnson', 'Dr. Michael Johnson', 'Respiratory Specialist', ARRAY['MD', 'Fellowship in Respiratory Medicine'], 'Specialist in COPD, asthma, and respiratory allergies with extensive research background.', 4.8, 93),
-('dr-williams', 'Dr. Emily Williams', 'Allergy & Asthma Specialist', ARRAY['MD', 'Board Certified in Allergy and Immunology'], 'Expert in allergy testing and asthma immunotherapy with focus on pediatric care.', 5.0, 84),
-('dr-brown', 'Dr. David Brown', 'Internal Medicine', ARRAY['MD', 'Internal Medicine Residency'], 'General internal medicine with specialization in chronic disease management.', 4.7, 156),
-('dr-davis', 'Dr. Lisa Davis', 'Pediatric Pulmonologist', ARRAY['MD', 'Pediatric Pulmonology Fellowship'], 'Specialized care for children with asthma and other respiratory conditions.', 4.9, 72);
+-- available_hours: clinic-local weekly hours per weekday (mon-sun), recurring breaks, days off
+-- and slot length; see get_available_slots
+INSERT INTO doctor_profiles (doctor_id, full_name, specialty, credentials, bio, profile_image_url, rating, review_count, available_hours) VALUES
+('dr-smith', 'Dr. Sarah Smith', 'Pulmonologist', ARRAY['MD', 'Board Certified in Pulmonary Medicine'], 'Dr. Smith has over 15 years of experience treating respiratory conditions with a focus on asthma and COPD.', 'https://images.unsplash.com/photo-1559839734-2b71ea197ec2?ixlib=rb-4.0.3&auto=format&fit=crop&w=300&q=80', 4.9, 127,
+  '{"timezone": "America/New_York", "slot_minutes": 30, "weekly": {"mon": [{"start": "09:00", "end": "17:00"}], "tue": [{"start": "09:00", "end": "17:00"}], "wed": [{"start": "09:00", "end": "12:00"}], "thu": [{"start": "09:00", "end": "17:00"}], "fri": [{"start": "09:00", "end": "15:00"}]}, "breaks": [{"start": "12:00", "end": "14:00"}], "time_off": []}'),
+('dr-johnson', 'Dr. Michael Johnson', 'Respiratory Specialist', ARRAY['MD', 'Fellowship in Respiratory Medicine'], 'Specialist in COPD, asthma, and respiratory allergies with extensive research background.', 'https://images.unsplash.com/photo-1612349317150-e413f6a5b16d?ixlib=rb-4.0.3&auto=format&fit=crop&w=300&q=80', 4.8, 93,
+  '{"timezone": "America/New_York", "slot_minutes": 30, "weekly": {"mon": [{"start": "10:00", "end": "18:00"}], "wed": [{"start": "10:00", "end": "18:00"}], "fri": [{"start": "10:00", "end": "18:00"}]}, "breaks": [{"start": "13:00", "end": "14:00"}], "time_off": []}'),
+('dr-williams', 'Dr. Emily Williams', 'Allergy & Asthma Specialist', ARRAY['MD', 'Board Certified in Allergy and Immunology'], 'Expert in allergy testing and asthma immunotherapy with focus on pediatric care.', 'https://images.unsplash.com/photo-1594824904020-3e62d1677a87?ixlib=rb-4.0.3&auto=format&fit=crop&w=300&q=80', 5.0, 84,
+  '{"timezone": "America/New_York", "slot_minutes": 30, "weekly": {"tue": [{"start": "09:00", "end": "12:00"}, {"start": "14:00", "end": "17:00"}], "thu": [{"start": "09:00", "end": "12:00"}, {"start": "14:00", "end": "17:00"}], "sat": [{"start": "09:00", "end": "12:00"}]}, "breaks": [], "time_off": []}'),
+('dr-brown', 'Dr. David Brown', 'Internal Medicine', ARRAY['MD', 'Internal Medicine Residency'], 'General internal medicine with specialization in chronic disease management.', NULL, 4.7, 156,
+  '{"timezone": "America/New_York", "slot_minutes": 20, "weekly": {"mon": [{"start": "08:00", "end": "16:00"}], "tue": [{"start": "08:00", "end": "16:00"}], "wed": [{"start": "08:00", "end": "16:00"}], "thu": [{"start": "08:00", "end": "16:00"}], "fri": [{"start": "08:00", "end": "16:00"}]}, "breaks": [{"start": "12:00", "end": "13:00"}], "time_off": []}'),
+('dr-davis', 'Dr. Lisa Davis', 'Pediatric Pulmonologist', ARRAY['MD', 'Pediatric Pulmonology Fellowship'], 'Specialized care for children with asthma and other respiratory conditions.', NULL, 4.9, 72,
+  '{"timezone": "America/New_York", "slot_minutes": 45, "weekly": {"mon": [{"start": "09:00", "end": "15:00"}], "wed": [{"start": "09:00", "end": "15:00"}], "thu": [{"start": "09:00", "end": "15:00"}]}, "breaks": [{"days": ["wed"], "start": "11:15", "end": "12:00"}], "time_off": []}');
 
 -- Create scheduled job to clean expired cache (if pg_cron is available)
 -- SELECT cron.schedule('clean-air-quality-cache', '0 */6 * * *', 'SELECT clean_expired_air_quality_cache();');
@@ -475,15 +1445,37 @@ GRANT ALL ON storage.buckets TO authenticated;
 -- Comments for documentation
 COMMENT ON TABLE user_profiles IS 'User profile information and preferences';
 COMMENT ON TABLE health_reports IS 'Uploaded health documents and reports';
+COMMENT ON TABLE lab_results IS 'Lab and lung function values read from health reports, one unit per test (FEV1/FVC in L, ratio in %, FeNO in ppb, IgE in IU/mL, eosinophils in cells/µL or %)';
+COMMENT ON COLUMN health_reports.extracted_text IS 'Text read from the document in the browser (PDF text layer or OCR)';
+COMMENT ON COLUMN health_reports.date_of_service IS 'Date of the test or visit the document records; upload_date is when it was added';
+COMMENT ON COLUMN health_reports.version_group_id IS 'Shared by every version of the same document; is_latest marks the one shown in the library';
+COMMENT ON COLUMN health_reports.search_vector IS 'Weighted full-text index of filename (A), notes (B) and extracted text (C)';
+COMMENT ON TABLE report_folders IS 'User-defined folders for organizing health reports';
+COMMENT ON COLUMN health_reports.file_url IS 'Deprecated: the bucket is private, links are signed on demand from file_path';
+COMMENT ON COLUMN health_reports.encryption_metadata IS 'For encrypted reports: cipher, file IV, file key wrapped with the user master key and the original type and size';
+COMMENT ON TABLE user_encryption_keys IS 'Per-user master key for encrypted reports, wrapped in the browser with a PBKDF2 key from the user passphrase. The server never sees the passphrase or unwrapped keys';
+COMMENT ON TABLE report_shares IS 'Revocable, expiring links for sharing selected reports with a doctor; only token and PIN hashes are stored. Opens are logged to system_logs (resource_type report_share)';
+COMMENT ON TABLE report_share_grants IS 'Short-lived file access for an opened share link; storage only checks these, so PIN guesses must go through open_report_share';
+COMMENT ON TABLE storage_quotas IS 'Per-user storage quota overrides; users without a row get the 500 MB default (see storage_quota_bytes)';
+COMMENT ON COLUMN health_reports.file_missing_at IS 'Set by the storage reconciliation job when the stored file for this row cannot be found';
+COMMENT ON TABLE report_annotations IS 'Highlights and sticky notes on a report page. x, y, width and height are fractions of the unrotated, uncropped page; notes only use x and y';
 COMMENT ON TABLE appointments IS 'Medical appointments scheduled by users';
 COMMENT ON TABLE chat_history IS 'AI chatbot conversation history';
-COMMENT ON TABLE air_quality_cache IS 'Cached air quality data to reduce API calls';
+COMMENT ON TABLE chat_sessions IS 'Named AI chat conversations; chat_history rows belong to a session via session_id';
+COMMENT ON TABLE air_quality_cache IS 'Cached air quality data to reduce API calls. One row per normalized key (kind:geo:lat,lon or kind:name:text)';
 COMMENT ON TABLE symptoms IS 'User-logged symptoms and severity tracking';
 COMMENT ON TABLE medications IS 'Medication usage tracking and adherence';
 COMMENT ON TABLE emergency_contacts IS 'Emergency contact information for users';
 COMMENT ON TABLE doctor_profiles IS 'Doctor profiles for appointment booking system';
+COMMENT ON COLUMN doctor_profiles.available_hours IS 'Weekly hours, breaks, time off, slot length and time zone; expanded into bookable slots by get_available_slots';
+COMMENT ON COLUMN appointments.slot_range IS 'Time the appointment occupies (clinic-local); appointments_no_double_booking keeps active ranges of one doctor from overlapping';
 COMMENT ON TABLE notifications IS 'System notifications and alerts for users';
+COMMENT ON TABLE saved_locations IS 'User locations monitored for air quality alerts';
+COMMENT ON TABLE air_quality_history IS 'Air quality readings per saved location, correlated with symptoms';
 COMMENT ON TABLE system_logs IS 'System activity logs for debugging and audit';
+COMMENT ON COLUMN chat_history.message_metadata IS 'Turn details. Keys: tool_calls (actions taken from chat), triage (emergency red flags), attachments (chat-attachments objects: path, name, type, size, pages, text_extracted), feedback (rating up | down, comment, updated_at; set via set_chat_message_feedback)';
+COMMENT ON COLUMN chat_history.search_vector IS 'Full-text index of user_message and ai_response for chat history search';
+COMMENT ON COLUMN user_profiles.preferences IS 'User settings. Keys: aqi_scale (us-epa | uk-daqi | eu-caqi | in-naqi), chat_personalization (boolean, share a health summary with the AI assistant)';
 
 -- Additional utility views for easier querying
 CREATE VIEW user_health_dashboard AS
@@ -686,6 +1678,9 @@ BEGIN
   -- Clean up old chat history for anonymous users (older than 7 days)
   DELETE FROM chat_history WHERE user_id IS NULL AND created_at < NOW() - INTERVAL '7 days';
   
+  -- Clean up old air quality history (older than 1 year)
+  DELETE FROM air_quality_history WHERE observed_at < NOW() - INTERVAL '1 year';
+  
   -- Clean up old system logs (older than 90 days)
   DELETE FROM system_logs WHERE created_at < NOW() - INTERVAL '90 days';
   
@@ -730,6 +1725,41 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
+-- Chat message feedback function
+-- Users can't update chat_history directly, so feedback is merged into message_metadata here
+CREATE OR REPLACE FUNCTION set_chat_message_feedback(
+  message_uuid UUID,
+  feedback_rating TEXT,
+  feedback_comment TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  result JSONB;
+BEGIN
+  IF feedback_rating IS NOT NULL AND feedback_rating NOT IN ('up', 'down') THEN
+    RAISE EXCEPTION 'Feedback rating must be up or down';
+  END IF;
+
+  UPDATE chat_history
+  SET message_metadata = CASE
+    WHEN feedback_rating IS NULL THEN COALESCE(message_metadata, '{}'::jsonb) - 'feedback'
+    ELSE COALESCE(message_metadata, '{}'::jsonb) || jsonb_build_object('feedback', jsonb_build_object(
+      'rating', feedback_rating,
+      'comment', NULLIF(LEFT(TRIM(feedback_comment), 1000), ''),
+      'updated_at', NOW()
+    ))
+  END
+  WHERE id = message_uuid AND user_id = auth.uid()
+  RETURNING message_metadata -> 'feedback' INTO result;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Chat message not found';
+  END IF;
+
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
 -- Backup user data function
 CREATE OR REPLACE FUNCTION backup_user_data(user_uuid UUID)
 RETURNS JSON AS $$
@@ -740,9 +1770,21 @@ BEGIN
     'user_profile', (
       SELECT row_to_json(up) FROM user_profiles up WHERE user_id = user_uuid
     ),
+    'report_folders', (
+      SELECT json_agg(rf) FROM report_folders rf WHERE user_id = user_uuid
+    ),
+    'user_encryption_keys', (
+      SELECT row_to_json(uek) FROM user_encryption_keys uek WHERE user_id = user_uuid
+    ),
     'health_reports', (
       SELECT json_agg(hr) FROM health_reports hr WHERE user_id = user_uuid
     ),
+    'report_annotations', (
+      SELECT json_agg(ra) FROM report_annotations ra WHERE user_id = user_uuid
+    ),
+    'lab_results', (
+      SELECT json_agg(lr) FROM lab_results lr WHERE user_id = user_uuid
+    ),
     'appointments', (
       SELECT json_agg(a) FROM appointments a WHERE user_id = user_uuid
     ),
@@ -755,6 +1797,9 @@ BEGIN
     'emergency_contacts', (
       SELECT json_agg(ec) FROM emergency_contacts ec WHERE user_id = user_uuid
     ),
+    'chat_sessions', (
+      SELECT json_agg(cs) FROM chat_sessions cs WHERE user_id = user_uuid
+    ),
     'chat_history', (
       SELECT json_agg(ch) FROM chat_history ch WHERE user_id = user_uuid
     ),
@@ -776,6 +1821,22 @@ GRANT EXECUTE ON FUNCTION get_symptom_trends(UUID, INTEGER) TO authenticated;
 GRANT EXECUTE ON FUNCTION calculate_health_score(UUID) TO authenticated;
 GRANT EXECUTE ON FUNCTION backup_user_data(UUID) TO authenticated;
 GRANT EXECUTE ON FUNCTION create_emergency_alert(UUID, TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION set_chat_message_feedback(UUID, TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION open_report_share(TEXT, TEXT) TO authenticated, anon;
+GRANT EXECUTE ON FUNCTION log_chat_emergency_triage(UUID, TEXT[], TEXT[], TEXT[], BOOLEAN) TO authenticated;
+GRANT EXECUTE ON FUNCTION clean_expired_air_quality_cache() TO authenticated, anon;
+GRANT EXECUTE ON FUNCTION get_storage_usage() TO authenticated;
+GRANT EXECUTE ON FUNCTION get_available_slots(TEXT, DATE, DATE) TO authenticated, anon;
+GRANT EXECUTE ON FUNCTION book_appointment(TEXT, DATE, TIME, TEXT, TEXT, priority_level, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION reschedule_appointment(UUID, DATE, TIME) TO authenticated;
+GRANT EXECUTE ON FUNCTION cancel_appointment(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION search_doctors(TEXT, TEXT, TEXT, INTEGER, INTEGER) TO authenticated, anon;
+
+-- Internal helpers and the reconciliation query are not callable from the app
+REVOKE EXECUTE ON FUNCTION storage_quota_bytes(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION health_report_storage_used(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION find_report_storage_mismatches(INTERVAL) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION find_report_storage_mismatches(INTERVAL) TO service_role;
 
 -- Create sample notification for testing
 -- This would typically be removed in production
@@ -0,0 +1,253 @@
+/**
+ * Document Text - Text extraction from uploaded PDFs and images, in the browser
+ * PDFs are read from their text layer with pdf.js. Images, and scanned PDFs without a text
+ * layer, are run through Tesseract OCR. Both are served from the app's own vendor folder
+ * (npm run vendor), so no document leaves the device for recognition.
+ */
+
+// pdf.js copied from node_modules, only loaded the first time a PDF is read
+const PDFJS_ASSET_URL = new URL('../../vendor/pdfjs/', import.meta.url).href;
+const PDFJS_URL = `${PDFJS_ASSET_URL}pdf.min.mjs`;
+const PDFJS_WORKER_URL = `${PDFJS_ASSET_URL}pdf.worker.min.mjs`;
+
+// Tesseract engine, core and English language data copied from node_modules
+const OCR_ASSET_URL = new URL('../../vendor/tesseract/', import.meta.url).href;
+const OCR_LANGUAGE = 'eng';
+
+const DEFAULT_MAX_CHARS = 50000;
+const DEFAULT_MAX_PAGES = 20;
+
+// Scanned pages are rendered at this scale before OCR; higher reads small print better
+const OCR_RENDER_SCALE = 2;
+const MAX_OCR_PAGES = 5;
+
+let pdfjsPromise = null;
+let ocrWorkerPromise = null;
+
+/**
+ * Extracted document text
+ * @typedef {Object} DocumentText
+ * @property {string} text - Extracted text, pages separated by blank lines
+ * @property {string} method - 'pdf-text', 'ocr' or 'none'
+ * @property {number} pages - Page count (PDFs only)
+ * @property {boolean} truncated - Whether pages or characters were left out
+ */
+
+/**
+ * Extract the text of a PDF or image, using OCR when there is no text layer
+ * @param {File|Blob} file - PDF, JPEG or PNG
+ * @param {Object} options - Options
+ * @param {number} options.maxChars - Maximum characters returned
+ * @param {number} options.maxPages - Maximum PDF pages read
+ * @param {boolean} options.ocr - Whether to fall back to OCR (default true)
+ * @returns {Promise<DocumentText>} Extracted text
+ */
+export async function extractDocumentText(file, options = {}) {
+  const { ocr = true } = options;
+
+  if (file.type === 'application/pdf') {
+    const result = await extractPdfText(file, options);
+
+    if (result.text || !ocr) {
+      return { ...result, method: result.text ? 'pdf-text' : 'none' };
+    }
+
+    const scanned = await recognizePdfPages(file, options);
+    return { ...scanned, method: scanned.text ? 'ocr' : 'none' };
+  }
+
+  if (file.type?.startsWith('image/') && ocr) {
+    const { text } = await recognizeImageText(file);
+    const { maxChars = DEFAULT_MAX_CHARS } = options;
+
+    return {
+      text: text.slice(0, maxChars),
+      method: text ? 'ocr' : 'none',
+      pages: null,
+      truncated: text.length > maxChars
+    };
+  }
+
+  return { text: '', method: 'none', pages: null, truncated: false };
+}
+
+/**
+ * Extract the text layer of a PDF
+ * Scanned PDFs without a text layer give empty text.
+ * @param {File|Blob} file - PDF file
+ * @param {Object} options - Options
+ * @param {number} options.maxChars - Maximum characters returned
+ * @param {number} options.maxPages - Maximum pages read
+ * @returns {Promise<Object>} {text, truncated, pages}
+ */
+export async function extractPdfText(file, options = {}) {
+  const { maxChars = DEFAULT_MAX_CHARS, maxPages = DEFAULT_MAX_PAGES } = options;
+  const pdf = await openPdf(file);
+
+  try {
+    const pageCount = Math.min(pdf.numPages, maxPages);
+    let text = '';
+
+    for (let number = 1; number <= pageCount && text.length < maxChars; number++) {
+      const page = await pdf.getPage(number);
+      const content = await page.getTextContent();
+      text += pageContentToText(content) + '\n\n';
+    }
+
+    text = text.trim();
+
+    return {
+      text: text.slice(0, maxChars),
+      truncated: text.length > maxChars || pdf.numPages > pageCount,
+      pages: pdf.numPages
+    };
+
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Recognize the text in an image with OCR
+ * @param {File|Blob|HTMLCanvasElement} image - Image or rendered page
+ * @returns {Promise<Object>} {text, confidence} with confidence from 0 to 100
+ */
+export async function recognizeImageText(image) {
+  const worker = await getOcrWorker();
+  const { data } = await worker.recognize(image);
+
+  return {
+    text: (data.text || '').trim(),
+    confidence: data.confidence ?? null
+  };
+}
+
+/**
+ * Stop the OCR worker to free its memory
+ */
+export async function terminateOcr() {
+  if (!ocrWorkerPromise) return;
+
+  const worker = await ocrWorkerPromise.catch(() => null);
+  ocrWorkerPromise = null;
+  await worker?.terminate();
+}
+
+/**
+ * Open a PDF with pdf.js, e.g. to render its pages
+ * @param {File|Blob} file - PDF file
+ * @returns {Promise<Object>} pdf.js document
+ */
+export async function openPdf(file) {
+  const pdfjs = await loadPdfjs();
+  return pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+}
+
+/**
+ * Helper Functions
+ */
+
+/**
+ * Render the first pages of a scanned PDF and OCR them
+ * @param {File|Blob} file - PDF file
+ * @param {Object} options - Options (see extractDocumentText)
+ * @returns {Promise<Object>} {text, truncated, pages}
+ */
+async function recognizePdfPages(file, options) {
+  const { maxChars = DEFAULT_MAX_CHARS } = options;
+  const pdf = await openPdf(file);
+
+  try {
+    const pageCount = Math.min(pdf.numPages, MAX_OCR_PAGES);
+    let text = '';
+
+    for (let number = 1; number <= pageCount && text.length < maxChars; number++) {
+      const page = await pdf.getPage(number);
+      const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+      const canvas = document.createElement('canvas');
+      canvas.width = viewport.width;
+      canvas.height = viewport.height;
+
+      await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+      const result = await recognizeImageText(canvas);
+      text += result.text + '\n\n';
+    }
+
+    text = text.trim();
+
+    return {
+      text: text.slice(0, maxChars),
+      truncated: text.length > maxChars || pdf.numPages > pageCount,
+      pages: pdf.numPages
+    };
+
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Join a page's text items, keeping line breaks so table rows stay on one line
+ * @param {Object} content - pdf.js getTextContent result
+ * @returns {string} Page text
+ */
+function pageContentToText(content) {
+  return content.items
+    .map(item => item.str + (item.hasEOL ? '\n' : ' '))
+    .join('')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ ?\n ?/g, '\n')
+    .trim();
+}
+
+/**
+ * Load pdf.js once
+ * @returns {Promise<Object>} pdf.js module
+ */
+function loadPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import(PDFJS_URL)
+      .then(pdfjs => {
+        pdfjs.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+        return pdfjs;
+      })
+      .catch(error => {
+        pdfjsPromise = null;
+        throw error;
+      });
+  }
+
+  return pdfjsPromise;
+}
+
+/**
+ * Start the Tesseract worker once, from the bundled assets
+ * @returns {Promise<Object>} Tesseract worker
+ */
+function getOcrWorker() {
+  if (!ocrWorkerPromise) {
+    ocrWorkerPromise = import(`${OCR_ASSET_URL}tesseract.esm.min.js`)
+      .then(module => (module.default || module).createWorker(OCR_LANGUAGE, 1, {
+        workerPath: `${OCR_ASSET_URL}worker.min.js`,
+        corePath: OCR_ASSET_URL,
+        langPath: OCR_ASSET_URL,
+        workerBlobURL: false
+      }))
+      .catch(error => {
+        ocrWorkerPromise = null;
+        throw error;
+      });
+  }
+
+  return ocrWorkerPromise;
+}
+
+// Default export
+export default {
+  extractDocumentText,
+  extractPdfText,
+  recognizeImageText,
+  terminateOcr,
+  openPdf
+};
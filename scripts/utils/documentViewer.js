@@ -0,0 +1,754 @@
+/**
+ * Document Viewer - In-browser viewer for health reports with highlights and sticky notes
+ * PDFs are rendered page by page with pdf.js and can be zoomed; images can also be rotated and
+ * cropped. Annotations are drawn over the page from positions in the original page's
+ * coordinates (see reportAnnotations.js), and an annotated copy can be downloaded to send to
+ * a doctor.
+ */
+
+import { openPdf } from './documentText.js';
+
+// jsPDF copied from node_modules (npm run vendor), only loaded the first time an annotated PDF is downloaded
+const JSPDF_URL = new URL('../../vendor/jspdf/jspdf.umd.min.js', import.meta.url).href;
+
+// Zoom levels, relative to fitting the page to the viewer width
+const ZOOM_LEVELS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3];
+
+// Scale PDF pages are rendered at for an annotated download (1 = 72 dpi)
+const EXPORT_SCALE = 2;
+
+// Drags smaller than this fraction of the page are treated as clicks
+const MIN_SELECTION = 0.01;
+
+const HIGHLIGHT_COLORS = {
+  yellow: 'rgba(250, 204, 21, 0.35)',
+  green: 'rgba(74, 222, 128, 0.35)',
+  pink: 'rgba(244, 114, 182, 0.35)',
+  blue: 'rgba(96, 165, 250, 0.35)'
+};
+
+const NOTE_COLORS = {
+  yellow: '#fde68a',
+  green: '#bbf7d0',
+  pink: '#fbcfe8',
+  blue: '#bfdbfe'
+};
+
+const FULL_PAGE = { x: 0, y: 0, width: 1, height: 1 };
+
+let jspdfPromise = null;
+
+/**
+ * Open a document in a viewer
+ * @param {HTMLElement} container - Element the viewer replaces the contents of
+ * @param {Blob} file - PDF, JPEG or PNG
+ * @param {Object} options - Options
+ * @param {string} options.filename - File name, used for the annotated download
+ * @param {Array<Object>} options.annotations - Saved annotations (see reportAnnotations.js)
+ * @param {boolean} options.editable - Whether annotations can be added and changed
+ * @param {Function} options.onCreate - Saves a new annotation: (annotation) => Promise of the
+ *   saved annotation, or null if it was not saved
+ * @param {Function} options.onUpdate - Saves a change: (annotation, updates) => Promise of the
+ *   updated annotation, or null
+ * @param {Function} options.onDelete - Deletes an annotation: (annotation) => Promise of true
+ *   when it was deleted
+ * @returns {Promise<Object>} Viewer with destroy()
+ */
+export async function createDocumentViewer(container, file, options = {}) {
+  const {
+    filename = 'document',
+    editable = false,
+    onCreate = async () => null,
+    onUpdate = async () => null,
+    onDelete = async () => false
+  } = options;
+
+  const isPdf = file.type === 'application/pdf';
+
+  if (!isPdf && !file.type?.startsWith('image/')) {
+    container.innerHTML = '<p class="text-gray-500">Preview not available for this file type</p>';
+    return { destroy() {} };
+  }
+
+  const state = {
+    annotations: [...(options.annotations || [])],
+    page: 1,
+    pageCount: 1,
+    zoomIndex: ZOOM_LEVELS.indexOf(1),
+    rotation: 0,
+    crop: { ...FULL_PAGE },
+    tool: null,
+    color: 'yellow',
+    renderId: 0,
+    renderTask: null
+  };
+
+  const pdf = isPdf ? await openPdf(file) : null;
+  const image = isPdf ? null : await createImageBitmap(file);
+  state.pageCount = pdf ? pdf.numPages : 1;
+
+  container.innerHTML = viewerMarkup(isPdf, editable);
+
+  const toolbar = container.querySelector('[data-viewer="toolbar"]');
+  const scroller = container.querySelector('[data-viewer="scroller"]');
+  const canvas = container.querySelector('[data-viewer="canvas"]');
+  const overlay = container.querySelector('[data-viewer="overlay"]');
+  const pageLabel = container.querySelector('[data-viewer="page"]');
+  const zoomLabel = container.querySelector('[data-viewer="zoom"]');
+
+  // Original-page fractions <-> fractions of what is shown (after crop and rotation)
+  const toView = point => rotatePoint(cropPoint(point, state.crop), state.rotation);
+  const fromView = point => uncropPoint(unrotatePoint(point, state.rotation), state.crop);
+
+  const render = async () => {
+    const renderId = ++state.renderId;
+    state.renderTask?.cancel();
+
+    const fitWidth = Math.max(200, scroller.clientWidth - 2);
+    const zoom = ZOOM_LEVELS[state.zoomIndex];
+    const pixelRatio = window.devicePixelRatio || 1;
+
+    if (pdf) {
+      const page = await pdf.getPage(state.page);
+      if (renderId !== state.renderId) return;
+
+      const base = page.getViewport({ scale: 1 });
+      const viewport = page.getViewport({ scale: (fitWidth / base.width) * zoom * pixelRatio });
+      setCanvasSize(canvas, viewport.width, viewport.height, pixelRatio);
+
+      state.renderTask = page.render({ canvasContext: canvas.getContext('2d'), viewport });
+
+      try {
+        await state.renderTask.promise;
+      } catch (error) {
+        // A newer render cancelled this one
+        if (error?.name === 'RenderingCancelledException') return;
+        throw error;
+      }
+    } else {
+      const { width, height } = getImageViewSize(image, state.crop, state.rotation);
+      const cssWidth = fitWidth * zoom;
+      const scale = (cssWidth / width) * pixelRatio;
+      setCanvasSize(canvas, width * scale, height * scale, pixelRatio);
+      drawImageView(canvas.getContext('2d'), image, state.crop, state.rotation, canvas.width, canvas.height);
+    }
+
+    if (renderId !== state.renderId) return;
+    renderAnnotations();
+    updateToolbar();
+  };
+
+  const renderAnnotations = () => {
+    overlay.innerHTML = '';
+
+    state.annotations
+      .filter(annotation => annotation.page === state.page)
+      .forEach(annotation => {
+        const element = document.createElement('button');
+        element.type = 'button';
+        element.dataset.annotationId = annotation.id;
+
+        if (annotation.annotation_type === 'highlight') {
+          const rect = mapRect(annotation, toView);
+          Object.assign(element.style, {
+            position: 'absolute',
+            left: `${rect.x * 100}%`,
+            top: `${rect.y * 100}%`,
+            width: `${rect.width * 100}%`,
+            height: `${rect.height * 100}%`,
+            background: HIGHLIGHT_COLORS[annotation.color] || HIGHLIGHT_COLORS.yellow,
+            mixBlendMode: 'multiply'
+          });
+          element.title = editable ? 'Highlight - click to remove' : 'Highlight';
+        } else {
+          const point = toView(annotation);
+          Object.assign(element.style, {
+            position: 'absolute',
+            left: `${point.x * 100}%`,
+            top: `${point.y * 100}%`,
+            background: NOTE_COLORS[annotation.color] || NOTE_COLORS.yellow
+          });
+          element.className = 'max-w-[12rem] -translate-y-full px-2 py-1 rounded shadow text-left text-xs text-gray-800 whitespace-pre-wrap';
+          element.textContent = annotation.content || '';
+          element.title = editable ? 'Click to edit or remove' : '';
+        }
+
+        // Hide annotations that fall outside a cropped image
+        const shown = mapRect(annotation, toView);
+        const visible = annotation.annotation_type === 'note'
+          ? isInside(toView(annotation))
+          : shown.width > 0 && shown.height > 0;
+        if (!visible) element.style.display = 'none';
+
+        element.addEventListener('click', (event) => {
+          event.stopPropagation();
+          if (editable && !state.tool) editAnnotation(annotation);
+        });
+        overlay.appendChild(element);
+      });
+  };
+
+  const updateToolbar = () => {
+    if (pageLabel) pageLabel.textContent = `Page ${state.page} of ${state.pageCount}`;
+    zoomLabel.textContent = `${Math.round(ZOOM_LEVELS[state.zoomIndex] * 100)}%`;
+
+    toolbar.querySelector('[data-action="prev"]')?.toggleAttribute('disabled', state.page <= 1);
+    toolbar.querySelector('[data-action="next"]')?.toggleAttribute('disabled', state.page >= state.pageCount);
+    toolbar.querySelector('[data-action="zoom-out"]').toggleAttribute('disabled', state.zoomIndex === 0);
+    toolbar.querySelector('[data-action="zoom-in"]').toggleAttribute('disabled', state.zoomIndex === ZOOM_LEVELS.length - 1);
+
+    toolbar.querySelectorAll('[data-tool]').forEach(button => {
+      button.classList.toggle('bg-blue-100', button.dataset.tool === state.tool);
+      button.classList.toggle('text-blue-700', button.dataset.tool === state.tool);
+    });
+
+    overlay.style.cursor = state.tool ? 'crosshair' : '';
+  };
+
+  const editAnnotation = async (annotation) => {
+    if (annotation.annotation_type === 'highlight') {
+      if (!confirm('Remove this highlight?')) return;
+      if (await onDelete(annotation)) removeAnnotation(annotation.id);
+      return;
+    }
+
+    const content = prompt('Edit note (leave empty to remove it)', annotation.content || '');
+    if (content === null) return;
+
+    if (!content.trim()) {
+      if (await onDelete(annotation)) removeAnnotation(annotation.id);
+      return;
+    }
+
+    const updated = await onUpdate(annotation, { content });
+    if (updated) {
+      state.annotations = state.annotations.map(item => item.id === updated.id ? updated : item);
+      renderAnnotations();
+    }
+  };
+
+  const removeAnnotation = (id) => {
+    state.annotations = state.annotations.filter(item => item.id !== id);
+    renderAnnotations();
+  };
+
+  const addAnnotation = async (annotation) => {
+    const saved = await onCreate({ ...annotation, page: state.page, color: state.color });
+    if (saved) {
+      state.annotations.push(saved);
+      renderAnnotations();
+    }
+  };
+
+  // Drag to highlight or crop, click to place a note
+  let selection = null;
+
+  const pointerFraction = (event) => {
+    const bounds = overlay.getBoundingClientRect();
+    return {
+      x: Math.min(1, Math.max(0, (event.clientX - bounds.left) / bounds.width)),
+      y: Math.min(1, Math.max(0, (event.clientY - bounds.top) / bounds.height))
+    };
+  };
+
+  overlay.addEventListener('pointerdown', (event) => {
+    if (!state.tool) return;
+
+    event.preventDefault();
+    const start = pointerFraction(event);
+
+    if (state.tool === 'note') {
+      const content = prompt('Note');
+      if (content?.trim()) addAnnotation({ type: 'note', ...fromView(start), content });
+      return;
+    }
+
+    const box = document.createElement('div');
+    box.className = state.tool === 'crop' ? 'absolute border-2 border-dashed border-blue-600' : 'absolute';
+    if (state.tool === 'highlight') box.style.background = HIGHLIGHT_COLORS[state.color];
+    overlay.appendChild(box);
+
+    selection = { start, end: start, box };
+    overlay.setPointerCapture(event.pointerId);
+  });
+
+  overlay.addEventListener('pointermove', (event) => {
+    if (!selection) return;
+
+    selection.end = pointerFraction(event);
+    const rect = toRect(selection.start, selection.end);
+    Object.assign(selection.box.style, {
+      left: `${rect.x * 100}%`,
+      top: `${rect.y * 100}%`,
+      width: `${rect.width * 100}%`,
+      height: `${rect.height * 100}%`
+    });
+  });
+
+  overlay.addEventListener('pointerup', async () => {
+    if (!selection) return;
+
+    const rect = toRect(selection.start, selection.end);
+    selection.box.remove();
+    selection = null;
+
+    if (rect.width < MIN_SELECTION || rect.height < MIN_SELECTION) return;
+
+    const original = mapRect(rect, fromView);
+
+    if (state.tool === 'crop') {
+      state.crop = original;
+      state.tool = null;
+      await render();
+    } else {
+      await addAnnotation({ type: 'highlight', ...original });
+    }
+  });
+
+  toolbar.addEventListener('click', async (event) => {
+    const button = event.target.closest('button');
+    if (!button) return;
+
+    if (button.dataset.tool) {
+      state.tool = state.tool === button.dataset.tool ? null : button.dataset.tool;
+      updateToolbar();
+      return;
+    }
+
+    switch (button.dataset.action) {
+      case 'prev':
+        state.page = Math.max(1, state.page - 1);
+        break;
+      case 'next':
+        state.page = Math.min(state.pageCount, state.page + 1);
+        break;
+      case 'zoom-out':
+        state.zoomIndex = Math.max(0, state.zoomIndex - 1);
+        break;
+      case 'zoom-in':
+        state.zoomIndex = Math.min(ZOOM_LEVELS.length - 1, state.zoomIndex + 1);
+        break;
+      case 'rotate':
+        state.rotation = (state.rotation + 90) % 360;
+        break;
+      case 'reset':
+        state.rotation = 0;
+        state.crop = { ...FULL_PAGE };
+        state.zoomIndex = ZOOM_LEVELS.indexOf(1);
+        break;
+      case 'download':
+        await downloadAnnotated();
+        return;
+      default:
+        return;
+    }
+
+    await render();
+  });
+
+  toolbar.querySelector('[data-viewer="color"]')?.addEventListener('change', (event) => {
+    state.color = event.target.value;
+  });
+
+  const downloadAnnotated = async () => {
+    const button = toolbar.querySelector('[data-action="download"]');
+    button.disabled = true;
+
+    try {
+      const blob = pdf
+        ? await annotatedPdf(pdf, state.annotations)
+        : await annotatedImage(image, state.annotations, state.crop, state.rotation);
+
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = annotatedFilename(filename, pdf ? 'pdf' : 'png');
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    } catch (error) {
+      console.error('Annotated download failed:', error);
+      alert('Could not create the annotated copy. Please try again.');
+    } finally {
+      button.disabled = false;
+    }
+  };
+
+  await render();
+
+  return {
+    destroy() {
+      state.renderId++;
+      state.renderTask?.cancel();
+      pdf?.destroy();
+      image?.close();
+      container.innerHTML = '';
+    }
+  };
+}
+
+/**
+ * Helper Functions
+ */
+
+/**
+ * Viewer toolbar and page markup
+ * @param {boolean} isPdf - Whether the document is a PDF
+ * @param {boolean} editable - Whether annotation tools are shown
+ * @returns {string} HTML
+ */
+function viewerMarkup(isPdf, editable) {
+  const button = (attributes, icon, title) => `
+    <button type="button" ${attributes} class="p-2 rounded-lg text-gray-600 hover:bg-gray-100 disabled:opacity-40" title="${title}">
+      <i data-lucide="${icon}" class="w-4 h-4"></i>
+    </button>
+  `;
+
+  return `
+    <div data-viewer="toolbar" class="flex flex-wrap items-center justify-center gap-1 mb-4 text-sm text-gray-700">
+      ${isPdf ? `
+        ${button('data-action="prev"', 'chevron-left', 'Previous page')}
+        <span data-viewer="page" class="px-2"></span>
+        ${button('data-action="next"', 'chevron-right', 'Next page')}
+        <span class="w-px h-6 bg-gray-200 mx-1"></span>
+      ` : ''}
+      ${button('data-action="zoom-out"', 'zoom-out', 'Zoom out')}
+      <span data-viewer="zoom" class="w-12 text-center"></span>
+      ${button('data-action="zoom-in"', 'zoom-in', 'Zoom in')}
+      ${isPdf ? '' : `
+        <span class="w-px h-6 bg-gray-200 mx-1"></span>
+        ${button('data-action="rotate"', 'rotate-cw', 'Rotate')}
+        ${button('data-tool="crop"', 'crop', 'Crop - drag over the part to keep')}
+        ${button('data-action="reset"', 'undo-2', 'Undo rotate and crop')}
+      `}
+      ${editable ? `
+        <span class="w-px h-6 bg-gray-200 mx-1"></span>
+        ${button('data-tool="highlight"', 'highlighter', 'Highlight - drag over the page')}
+        ${button('data-tool="note"', 'sticky-note', 'Note - click where it should go')}
+        <select data-viewer="color" class="px-2 py-1 border border-gray-300 rounded-lg text-sm" title="Annotation color">
+          ${Object.keys(HIGHLIGHT_COLORS).map(color => `<option value="${color}">${color[0].toUpperCase()}${color.slice(1)}</option>`).join('')}
+        </select>
+      ` : ''}
+      <span class="w-px h-6 bg-gray-200 mx-1"></span>
+      ${button('data-action="download"', 'file-down', 'Download with annotations')}
+    </div>
+    <div data-viewer="scroller" class="overflow-auto">
+      <div data-viewer="stage" class="relative inline-block shadow select-none">
+        <canvas data-viewer="canvas" class="block"></canvas>
+        <div data-viewer="overlay" class="absolute inset-0 overflow-hidden touch-none"></div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Size a canvas in device pixels and CSS pixels
+ * @param {HTMLCanvasElement} canvas - Canvas
+ * @param {number} width - Width in device pixels
+ * @param {number} height - Height in device pixels
+ * @param {number} pixelRatio - Device pixel ratio
+ */
+function setCanvasSize(canvas, width, height, pixelRatio) {
+  canvas.width = Math.round(width);
+  canvas.height = Math.round(height);
+  canvas.style.width = `${Math.round(width / pixelRatio)}px`;
+  canvas.style.height = `${Math.round(height / pixelRatio)}px`;
+}
+
+/**
+ * Size of an image after cropping and rotating, in image pixels
+ * @param {ImageBitmap} image - Image
+ * @param {Object} crop - Crop rectangle in fractions
+ * @param {number} rotation - Degrees clockwise (0, 90, 180 or 270)
+ * @returns {Object} {width, height}
+ */
+function getImageViewSize(image, crop, rotation) {
+  const width = image.width * crop.width;
+  const height = image.height * crop.height;
+  return rotation % 180 ? { width: height, height: width } : { width, height };
+}
+
+/**
+ * Draw the cropped, rotated image filling a canvas
+ * @param {CanvasRenderingContext2D} context - Canvas context
+ * @param {ImageBitmap} image - Image
+ * @param {Object} crop - Crop rectangle in fractions
+ * @param {number} rotation - Degrees clockwise
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+function drawImageView(context, image, crop, rotation, width, height) {
+  const [drawWidth, drawHeight] = rotation % 180 ? [height, width] : [width, height];
+
+  context.save();
+  context.clearRect(0, 0, width, height);
+  context.translate(width / 2, height / 2);
+  context.rotate((rotation * Math.PI) / 180);
+  context.drawImage(
+    image,
+    crop.x * image.width, crop.y * image.height, crop.width * image.width, crop.height * image.height,
+    -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight
+  );
+  context.restore();
+}
+
+/**
+ * Position of an original-page point within a crop
+ * @param {Object} point - {x, y}
+ * @param {Object} crop - Crop rectangle
+ * @returns {Object} {x, y}
+ */
+function cropPoint(point, crop) {
+  return { x: (point.x - crop.x) / crop.width, y: (point.y - crop.y) / crop.height };
+}
+
+/**
+ * Original-page position of a point within a crop
+ * @param {Object} point - {x, y}
+ * @param {Object} crop - Crop rectangle
+ * @returns {Object} {x, y}
+ */
+function uncropPoint(point, crop) {
+  return { x: crop.x + point.x * crop.width, y: crop.y + point.y * crop.height };
+}
+
+/**
+ * Where a point ends up when the page is rotated clockwise
+ * @param {Object} point - {x, y}
+ * @param {number} rotation - Degrees clockwise
+ * @returns {Object} {x, y}
+ */
+function rotatePoint({ x, y }, rotation) {
+  switch (rotation) {
+    case 90: return { x: 1 - y, y: x };
+    case 180: return { x: 1 - x, y: 1 - y };
+    case 270: return { x: y, y: 1 - x };
+    default: return { x, y };
+  }
+}
+
+/**
+ * Where a point on the rotated page was before rotating
+ * @param {Object} point - {x, y}
+ * @param {number} rotation - Degrees clockwise
+ * @returns {Object} {x, y}
+ */
+function unrotatePoint({ x, y }, rotation) {
+  switch (rotation) {
+    case 90: return { x: y, y: 1 - x };
+    case 180: return { x: 1 - x, y: 1 - y };
+    case 270: return { x: 1 - y, y: x };
+    default: return { x, y };
+  }
+}
+
+/**
+ * Map a rectangle through a point transform
+ * @param {Object} rect - {x, y, width, height}
+ * @param {Function} transform - Point transform
+ * @returns {Object} Rectangle, clipped to the page
+ */
+function mapRect(rect, transform) {
+  const a = transform({ x: rect.x, y: rect.y });
+  const b = transform({ x: rect.x + rect.width, y: rect.y + rect.height });
+  const clip = value => Math.min(1, Math.max(0, value));
+
+  const left = clip(Math.min(a.x, b.x));
+  const top = clip(Math.min(a.y, b.y));
+  const right = clip(Math.max(a.x, b.x));
+  const bottom = clip(Math.max(a.y, b.y));
+
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Rectangle between two points
+ * @param {Object} a - {x, y}
+ * @param {Object} b - {x, y}
+ * @returns {Object} {x, y, width, height}
+ */
+function toRect(a, b) {
+  return {
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: Math.abs(a.x - b.x),
+    height: Math.abs(a.y - b.y)
+  };
+}
+
+/**
+ * Whether a point is on the page
+ * @param {Object} point - {x, y}
+ * @returns {boolean} Inside
+ */
+function isInside({ x, y }) {
+  return x >= 0 && x <= 1 && y >= 0 && y <= 1;
+}
+
+/**
+ * Draw annotations onto a rendered page
+ * @param {CanvasRenderingContext2D} context - Canvas context
+ * @param {Array<Object>} annotations - Annotations on this page
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {Function} toView - Maps original-page points to the canvas (fractions)
+ */
+function drawAnnotations(context, annotations, width, height, toView = point => point) {
+  const fontSize = Math.max(12, Math.round(width / 60));
+  const padding = fontSize / 2;
+
+  annotations
+    .filter(annotation => annotation.annotation_type === 'highlight')
+    .forEach(annotation => {
+      const rect = mapRect(annotation, toView);
+      context.fillStyle = HIGHLIGHT_COLORS[annotation.color] || HIGHLIGHT_COLORS.yellow;
+      context.fillRect(rect.x * width, rect.y * height, rect.width * width, rect.height * height);
+    });
+
+  context.font = `${fontSize}px sans-serif`;
+  context.textBaseline = 'top';
+
+  annotations
+    .filter(annotation => annotation.annotation_type === 'note' && annotation.content)
+    .forEach(annotation => {
+      const point = toView(annotation);
+      if (!isInside(point)) return;
+
+      const lines = wrapText(context, annotation.content, width / 4);
+      const boxWidth = Math.max(...lines.map(line => context.measureText(line).width)) + padding * 2;
+      const boxHeight = lines.length * fontSize * 1.3 + padding * 2;
+      const left = Math.min(point.x * width, width - boxWidth);
+      const top = Math.max(0, point.y * height - boxHeight);
+
+      context.fillStyle = NOTE_COLORS[annotation.color] || NOTE_COLORS.yellow;
+      context.fillRect(left, top, boxWidth, boxHeight);
+      context.strokeStyle = 'rgba(0, 0, 0, 0.25)';
+      context.strokeRect(left, top, boxWidth, boxHeight);
+      context.fillStyle = '#1f2937';
+      lines.forEach((line, i) => context.fillText(line, left + padding, top + padding + i * fontSize * 1.3));
+    });
+}
+
+/**
+ * Break note text into lines that fit a width
+ * @param {CanvasRenderingContext2D} context - Canvas context with the font set
+ * @param {string} text - Text
+ * @param {number} maxWidth - Line width in canvas pixels
+ * @returns {Array<string>} Lines
+ */
+function wrapText(context, text, maxWidth) {
+  const lines = [];
+
+  text.split('\n').forEach(paragraph => {
+    let line = '';
+
+    paragraph.split(/\s+/).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && context.measureText(candidate).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+
+    lines.push(line);
+  });
+
+  return lines;
+}
+
+/**
+ * Render every page of a PDF with its annotations into a new PDF
+ * @param {Object} pdf - pdf.js document
+ * @param {Array<Object>} annotations - All annotations
+ * @returns {Promise<Blob>} PDF file
+ */
+async function annotatedPdf(pdf, annotations) {
+  const { jsPDF } = await loadJspdf();
+  let doc = null;
+
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+    const page = await pdf.getPage(pageNumber);
+    const size = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: EXPORT_SCALE });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(viewport.width);
+    canvas.height = Math.round(viewport.height);
+    const context = canvas.getContext('2d');
+
+    await page.render({ canvasContext: context, viewport }).promise;
+    drawAnnotations(context, annotations.filter(annotation => annotation.page === pageNumber), canvas.width, canvas.height);
+
+    const orientation = size.width > size.height ? 'landscape' : 'portrait';
+    if (doc) {
+      doc.addPage([size.width, size.height], orientation);
+    } else {
+      doc = new jsPDF({ unit: 'pt', format: [size.width, size.height], orientation });
+    }
+
+    doc.addImage(canvas.toDataURL('image/jpeg', 0.92), 'JPEG', 0, 0, size.width, size.height);
+    page.cleanup();
+  }
+
+  return doc.output('blob');
+}
+
+/**
+ * Render an image as currently cropped and rotated, with its annotations
+ * @param {ImageBitmap} image - Image
+ * @param {Array<Object>} annotations - Annotations
+ * @param {Object} crop - Crop rectangle
+ * @param {number} rotation - Degrees clockwise
+ * @returns {Promise<Blob>} PNG file
+ */
+async function annotatedImage(image, annotations, crop, rotation) {
+  const { width, height } = getImageViewSize(image, crop, rotation);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width);
+  canvas.height = Math.round(height);
+  const context = canvas.getContext('2d');
+
+  drawImageView(context, image, crop, rotation, canvas.width, canvas.height);
+  drawAnnotations(context, annotations, canvas.width, canvas.height, point => rotatePoint(cropPoint(point, crop), rotation));
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not create image')), 'image/png');
+  });
+}
+
+/**
+ * File name for an annotated copy
+ * @param {string} filename - Original file name
+ * @param {string} extension - New extension
+ * @returns {string} File name
+ */
+function annotatedFilename(filename, extension) {
+  return `${filename.replace(/\.[^.]+$/, '')}-annotated.${extension}`;
+}
+
+/**
+ * Load jsPDF once
+ * The browser build is a UMD bundle, which sets window.jspdf rather than exporting anything.
+ * @returns {Promise<Object>} jsPDF module
+ */
+function loadJspdf() {
+  if (!jspdfPromise) {
+    jspdfPromise = import(JSPDF_URL)
+      .then(() => window.jspdf)
+      .catch(error => {
+        jspdfPromise = null;
+        throw error;
+      });
+  }
+
+  return jspdfPromise;
+}
+
+// Default export
+export default {
+  createDocumentViewer
+};
@@ -0,0 +1,244 @@
+/**
+ * Geolocation - Browser location, geocoding and canonical location keys
+ * Resolves free text and coordinates to one stable key per place
+ */
+
+import { getAirQualityProvider, getAirQualityProviders, parseCoordinates } from './airQualityProviders.js';
+
+// Two decimals is roughly 1.1 km, well within one air quality grid cell
+const COORDINATE_PRECISION = 2;
+
+// Coordinates sent to providers are trimmed so exact positions never leave the browser
+const QUERY_PRECISION = 4;
+
+const GEOCODE_STORAGE_KEY = 'asthmacare:geocode';
+const MAX_STORED_GEOCODES = 100;
+
+const geocodeMemo = new Map(loadStoredGeocodes());
+
+/**
+ * Resolved location
+ * @typedef {Object} ResolvedLocation
+ * @property {string} key - Canonical cache key ("geo:51.52,-0.11" or "name:london")
+ * @property {string} query - Query to send to providers
+ * @property {string|null} name - Display name, when known
+ * @property {number|null} lat - Latitude
+ * @property {number|null} lon - Longitude
+ */
+
+/**
+ * Normalize free-text location input
+ * @param {string} text - User input
+ * @returns {string} Lowercase, punctuation-free, single-spaced text
+ */
+export function normalizeLocationText(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s,-]/gu, '')
+    .replace(/\s*,\s*/g, ', ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build the canonical key for a pair of coordinates
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {string} Cache key
+ */
+export function getCoordinateKey(lat, lon) {
+  return `geo:${Number(lat).toFixed(COORDINATE_PRECISION)},${Number(lon).toFixed(COORDINATE_PRECISION)}`;
+}
+
+/**
+ * Resolve a location to its canonical key and provider query
+ * @param {string|{lat: number, lon: number}} input - Free text, "lat,lon" or coordinates
+ * @returns {Promise<ResolvedLocation>} Resolved location
+ */
+export async function resolveLocation(input) {
+  const coordinates = typeof input === 'object' && input !== null
+    ? { lat: Number(input.lat), lon: Number(input.lon) }
+    : parseCoordinates(String(input));
+
+  if (coordinates) {
+    return fromCoordinates(coordinates.lat, coordinates.lon, input?.name || null);
+  }
+
+  const text = normalizeLocationText(input);
+
+  if (!text) {
+    throw new Error('Location is required');
+  }
+
+  const place = await geocodeLocation(text);
+
+  if (place) {
+    return fromCoordinates(place.lat, place.lon, place.name);
+  }
+
+  // Geocoding unavailable: fall back to the normalized text
+  return { key: `name:${text}`, query: String(input).trim(), name: null, lat: null, lon: null };
+}
+
+/**
+ * Geocode free text to the best matching place
+ * Results are remembered per normalized text, so "London" and "london " share one lookup.
+ * @param {string} text - Place name
+ * @returns {Promise<Object|null>} Place or null
+ */
+export async function geocodeLocation(text) {
+  const normalized = normalizeLocationText(text);
+
+  if (geocodeMemo.has(normalized)) {
+    return geocodeMemo.get(normalized);
+  }
+
+  const places = await searchPlaces(normalized);
+  const place = places[0] || null;
+
+  if (place) {
+    rememberGeocode(normalized, place);
+  }
+
+  return place;
+}
+
+/**
+ * Find the nearest named place for a pair of coordinates
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Object|null>} Place or null
+ */
+export async function reverseGeocode(lat, lon) {
+  const key = getCoordinateKey(lat, lon);
+
+  if (geocodeMemo.has(key)) {
+    return geocodeMemo.get(key);
+  }
+
+  const places = await searchPlaces(`${Number(lat).toFixed(QUERY_PRECISION)},${Number(lon).toFixed(QUERY_PRECISION)}`);
+  const place = places[0] || null;
+
+  if (place) {
+    rememberGeocode(key, place);
+  }
+
+  return place;
+}
+
+/**
+ * Get the device's current position via the browser Geolocation API
+ * @param {Object} options - PositionOptions
+ * @returns {Promise<{lat: number, lon: number, accuracy: number}>} Current position
+ */
+export function getCurrentPosition(options = {}) {
+  return new Promise((resolve, reject) => {
+    if (!('geolocation' in navigator)) {
+      reject(new Error('Geolocation is not supported by this browser'));
+      return;
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      position => resolve({
+        lat: position.coords.latitude,
+        lon: position.coords.longitude,
+        accuracy: position.coords.accuracy
+      }),
+      error => {
+        const messages = {
+          1: 'Location permission was denied',
+          2: 'Your location could not be determined',
+          3: 'Timed out while getting your location'
+        };
+        reject(new Error(messages[error.code] || error.message));
+      },
+      { enableHighAccuracy: false, timeout: 10000, maximumAge: 10 * 60 * 1000, ...options }
+    );
+  });
+}
+
+/**
+ * Helper Functions
+ */
+
+/**
+ * Build a resolved location from coordinates
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string|null} name - Display name
+ * @returns {ResolvedLocation} Resolved location
+ */
+function fromCoordinates(lat, lon, name) {
+  if (Number.isNaN(lat) || Number.isNaN(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    throw new Error('Invalid coordinates');
+  }
+
+  return {
+    key: getCoordinateKey(lat, lon),
+    query: `${lat.toFixed(QUERY_PRECISION)},${lon.toFixed(QUERY_PRECISION)}`,
+    name,
+    lat,
+    lon
+  };
+}
+
+/**
+ * Search places with the first active provider that can geocode
+ * @param {string} query - Place name or coordinates
+ * @returns {Promise<Array<Object>>} Places, or an empty list if geocoding failed
+ */
+async function searchPlaces(query) {
+  const names = [...getAirQualityProviders(), 'weatherapi'];
+
+  for (const name of names) {
+    const provider = getAirQualityProvider(name);
+
+    if (typeof provider?.geocode !== 'function') continue;
+
+    try {
+      return await provider.geocode(query);
+    } catch (error) {
+      console.warn(`Geocoding with ${name} failed:`, error);
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Remember a geocoding result in memory and localStorage
+ * @param {string} key - Normalized text or coordinate key
+ * @param {Object} place - Place
+ */
+function rememberGeocode(key, place) {
+  geocodeMemo.set(key, place);
+
+  try {
+    const entries = [...geocodeMemo.entries()].slice(-MAX_STORED_GEOCODES);
+    localStorage.setItem(GEOCODE_STORAGE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    // Storage may be full or unavailable (private mode) - the memo still works
+  }
+}
+
+/**
+ * Load remembered geocoding results from localStorage
+ * @returns {Array<Array>} Map entries
+ */
+function loadStoredGeocodes() {
+  try {
+    return JSON.parse(localStorage.getItem(GEOCODE_STORAGE_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Default export
+export default {
+  normalizeLocationText,
+  getCoordinateKey,
+  resolveLocation,
+  geocodeLocation,
+  reverseGeocode,
+  getCurrentPosition
+};
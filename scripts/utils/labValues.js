@@ -0,0 +1,285 @@
+/**
+ * Lab Values - Finds asthma-related results in report text
+ * Detects spirometry (FEV1, FVC, FEV1/FVC), FeNO, total IgE and blood eosinophils with their
+ * units and dates, and converts them to one unit per test so results can be charted over time.
+ */
+
+/**
+ * Lab tests recognized in report text
+ * Patterns run line by line; the ratio comes first so "FEV1/FVC" isn't read as FEV1.
+ * Values outside `range` (in the canonical unit) are treated as misreads and dropped.
+ */
+export const LAB_TESTS = [
+  {
+    code: 'fev1_fvc',
+    name: 'FEV1/FVC',
+    pattern: /\bFEV\s?1\s?\/\s?FVC\b(?:\s*ratio)?|\bFEV\s?1\s?%(?!\s*(?:of\s+)?pred)|\bTiffeneau(?:\s+index)?\b/i,
+    unit: '%',
+    range: [20, 100]
+  },
+  {
+    code: 'fev1',
+    name: 'FEV1',
+    pattern: /\bFEV\s?1\b(?!\s?\/|\s?%)/i,
+    unit: 'L',
+    range: [0.2, 8]
+  },
+  {
+    code: 'fvc',
+    name: 'FVC',
+    pattern: /(?<!\/\s?)\bFVC\b(?!\s?%)/i,
+    unit: 'L',
+    range: [0.2, 10]
+  },
+  {
+    code: 'feno',
+    name: 'FeNO',
+    pattern: /\bF\s?E\s?NO\b|\bexhaled nitric oxide\b/i,
+    unit: 'ppb',
+    range: [1, 300]
+  },
+  {
+    code: 'ige',
+    name: 'Total IgE',
+    pattern: /(?<!specific\s)\b(?:total\s+)?(?:serum\s+)?IgE\b(?!\s*(?:specific|sensiti[sz]ation)\b)(?:\s*,?\s*total)?/i,
+    unit: 'IU/mL',
+    range: [0, 50000]
+  },
+  {
+    code: 'eosinophils',
+    name: 'Blood eosinophils',
+    pattern: /\b(?:blood\s+)?eosinophils?(?:\s*\(?(?:absolute|abs\.?|count|#)\)?)?(?:\s+count)?\b|\beos\b(?:\s*\(?(?:abs|#|%)\)?)?/i,
+    unit: 'cells/µL',
+    range: [0, 5000]
+  }
+];
+
+// Units as written in reports, mapped to a canonical unit and a multiplier
+const UNITS = [
+  { pattern: /^(?:x|×|\*)?\s?10\s?(?:\^|\*|e)?\s?9\s?\/\s?l\b/i, unit: 'cells/µL', factor: 1000 },
+  { pattern: /^(?:x|×|\*)?\s?10\s?(?:\^|\*|e)?\s?3\s?\/\s?(?:µ|u|mc)l\b|^k\s?\/\s?(?:µ|u)l\b/i, unit: 'cells/µL', factor: 1000 },
+  { pattern: /^(?:cells?\s?)?\/\s?(?:µ|u|mc)l\b|^(?:cells?\s?)?\/\s?mm\s?(?:3|³)/i, unit: 'cells/µL', factor: 1 },
+  { pattern: /^(?:k?iu|ku)\s?\/\s?(?:ml|l)\b/i, unit: 'IU/mL', factor: 1 },
+  { pattern: /^ppb\b/i, unit: 'ppb', factor: 1 },
+  { pattern: /^ml\b/i, unit: 'L', factor: 0.001 },
+  { pattern: /^(?:l|litres?|liters?)\b/i, unit: 'L', factor: 1 },
+  { pattern: /^%/, unit: '%', factor: 1 }
+];
+
+// Dates near these words are not measurement dates
+const IGNORED_DATE_CONTEXT = /\b(?:dob|d\.o\.b|date of birth|birth|born|printed|expires?)\b[^\n]{0,15}$/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const DATE_PATTERNS = [
+  // 2024-03-05
+  { pattern: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g, read: ([, y, m, d]) => [y, m, d] },
+  // 03/05/2024 or 05.03.2024 (day first when the first part can't be a month)
+  { pattern: /\b(\d{1,2})[/.](\d{1,2})[/.](\d{4})\b/g, read: ([, a, b, y]) => (Number(a) > 12 ? [y, b, a] : [y, a, b]) },
+  // 5 Mar 2024, 5 March, 2024
+  { pattern: /\b(\d{1,2})\s+([a-z]{3,9})\.?,?\s+(\d{4})\b/gi, read: ([, d, month, y]) => [y, monthNumber(month), d] },
+  // Mar 5, 2024
+  { pattern: /\b([a-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})\b/gi, read: ([, month, d, y]) => [y, monthNumber(month), d] }
+];
+
+// How far after a test name the value is looked for
+const VALUE_WINDOW = 60;
+
+/**
+ * Lab value found in a report
+ * @typedef {Object} LabValue
+ * @property {string} test_code - Code from LAB_TESTS
+ * @property {string} test_name - Display name
+ * @property {number} value - Value in `unit`
+ * @property {string} unit - Canonical unit (eosinophils may also be '%')
+ * @property {number|null} percent_predicted - Percent of predicted, when reported
+ * @property {string|null} measured_on - Measurement date (YYYY-MM-DD), if one was found
+ * @property {string} source_text - The line the value was read from
+ */
+
+/**
+ * Find lab values in report text
+ * @param {string} text - Report text (from extractDocumentText)
+ * @param {Object} options - Options
+ * @param {string} options.defaultDate - Date (YYYY-MM-DD) used when the text has none
+ * @returns {Array<LabValue>} Values in the order they appear
+ */
+export function parseLabValues(text, options = {}) {
+  const source = String(text || '');
+  const dates = findDates(source);
+  const values = [];
+  const seen = new Set();
+  let offset = 0;
+
+  for (const line of source.split('\n')) {
+    const claimed = [];
+
+    for (const test of LAB_TESTS) {
+      const regex = new RegExp(test.pattern.source, 'gi');
+      let match;
+
+      while ((match = regex.exec(line)) !== null) {
+        const start = match.index;
+        const end = start + match[0].length;
+
+        // Skip names inside a longer match, e.g. FVC within FEV1/FVC
+        if (claimed.some(([from, to]) => start < to && end > from)) continue;
+        claimed.push([start, end]);
+
+        const reading = readValue(test, line.slice(end, end + VALUE_WINDOW));
+        if (!reading) continue;
+
+        const measuredOn = dateBefore(dates, offset + start) || dates[0]?.date || options.defaultDate || null;
+        const key = [test.code, reading.value, reading.unit, measuredOn].join('|');
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        values.push({
+          test_code: test.code,
+          test_name: test.name,
+          value: reading.value,
+          unit: reading.unit,
+          percent_predicted: reading.percentPredicted,
+          measured_on: measuredOn,
+          source_text: line.trim().slice(0, 200)
+        });
+      }
+    }
+
+    offset += line.length + 1;
+  }
+
+  return values;
+}
+
+/**
+ * Helper Functions
+ */
+
+/**
+ * Read the value and unit that follow a test name
+ * Handles units before the value ("FEV1 (L) 2.45") and after it ("FeNO 32 ppb").
+ * @param {Object} test - Test from LAB_TESTS
+ * @param {string} rest - Text after the test name on the same line
+ * @returns {Object|null} {value, unit, percentPredicted}, or null if no plausible value
+ */
+function readValue(test, rest) {
+  let text = rest.replace(/^[\s:=\-–]+/, '');
+
+  // Unit written in the column header, e.g. "FEV1 (L)" or "Eosinophils %"
+  const headerUnit = text.match(/^\(([^)]{1,12})\)\s*:?\s*/) || text.match(/^(%)\s*:?\s*/);
+  let unit = headerUnit ? findUnit(headerUnit[1]) : null;
+  if (headerUnit) text = text.slice(headerUnit[0].length);
+
+  const number = text.match(/^[<>≤≥]?\s*(\d+(?:[.,]\d+)?)/);
+  if (!number) return null;
+
+  let value = Number(number[1].replace(',', '.'));
+  const after = text.slice(number[0].length).trimStart();
+  unit = findUnit(after) || unit;
+
+  // Ratios are often written as 0.72 instead of 72%
+  if (test.code === 'fev1_fvc' && value <= 1.5 && unit?.unit !== '%') {
+    value *= 100;
+    unit = { unit: '%', factor: 1 };
+  }
+
+  // Spirometry volumes without a unit: large numbers are millilitres
+  if (!unit && test.unit === 'L' && value > 20) {
+    unit = { unit: 'L', factor: 0.001 };
+  }
+
+  const canonical = unit && (unit.unit === test.unit || (test.code === 'eosinophils' && unit.unit === '%'))
+    ? unit
+    : { unit: test.unit, factor: 1 };
+
+  value = round(value * canonical.factor);
+
+  const range = canonical.unit === '%' && test.code === 'eosinophils' ? [0, 50] : test.range;
+  if (value < range[0] || value > range[1]) return null;
+
+  const predicted = canonical.unit !== '%'
+    ? after.match(/(\d{1,3}(?:\.\d)?)\s*%\s*(?:of\s+)?pred/i) || after.match(/^\S*\s*\((\d{1,3})\s*%\)/)
+    : null;
+
+  return {
+    value,
+    unit: canonical.unit,
+    percentPredicted: predicted ? Number(predicted[1]) : null
+  };
+}
+
+/**
+ * Match a unit at the start of some text
+ * @param {string} text - Text starting with a unit
+ * @returns {Object|null} {unit, factor}
+ */
+function findUnit(text) {
+  const trimmed = text.trim();
+  return UNITS.find(candidate => candidate.pattern.test(trimmed)) || null;
+}
+
+/**
+ * Find measurement dates in the text
+ * @param {string} text - Report text
+ * @returns {Array<Object>} {index, date} sorted by position
+ */
+function findDates(text) {
+  const today = new Date().toISOString().slice(0, 10);
+  const dates = [];
+
+  for (const { pattern, read } of DATE_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const [year, month, day] = read(match).map(Number);
+      if (!year || !month || month > 12 || !day || day > 31 || year < 1990) continue;
+
+      const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+      if (date > today || IGNORED_DATE_CONTEXT.test(text.slice(Math.max(0, match.index - 40), match.index))) continue;
+
+      dates.push({ index: match.index, date });
+    }
+  }
+
+  return dates.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Latest date that appears before a position
+ * @param {Array<Object>} dates - Dates from findDates
+ * @param {number} index - Position in the text
+ * @returns {string|null} Date
+ */
+function dateBefore(dates, index) {
+  let found = null;
+
+  for (const date of dates) {
+    if (date.index > index) break;
+    found = date.date;
+  }
+
+  return found;
+}
+
+/**
+ * Month number from a name or abbreviation
+ * @param {string} name - Month name
+ * @returns {number|null} 1-12
+ */
+function monthNumber(name) {
+  const index = MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Round to at most 3 decimals
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Default export
+export default {
+  parseLabValues
+};
@@ -0,0 +1,283 @@
+/**
+ * Report Annotations - Highlights and sticky notes on health report pages
+ * Positions are stored as fractions (0-1) of the original page or image, so they stay in place
+ * at any zoom level and when an image is rotated or cropped in the viewer. Encrypted reports
+ * cannot be annotated, since notes are stored in plain text.
+ */
+
+import { supabase, TABLES } from '../../config/supabase.js';
+
+export const ANNOTATION_TYPES = ['highlight', 'note'];
+export const ANNOTATION_COLORS = ['yellow', 'green', 'pink', 'blue'];
+export const MAX_NOTE_LENGTH = 2000;
+
+const ANNOTATION_COLUMNS = 'id, report_id, page, annotation_type, x, y, width, height, color, content, created_at, updated_at';
+
+/**
+ * Report annotation
+ * @typedef {Object} ReportAnnotation
+ * @property {string} id - Annotation ID
+ * @property {string} report_id - Report ID
+ * @property {number} page - Page number, from 1 (always 1 for images)
+ * @property {string} annotation_type - 'highlight' or 'note'
+ * @property {number} x - Left edge, fraction of the page width
+ * @property {number} y - Top edge, fraction of the page height
+ * @property {number} width - Fraction of the page width (0 for notes)
+ * @property {number} height - Fraction of the page height (0 for notes)
+ * @property {string} color - One of ANNOTATION_COLORS
+ * @property {string|null} content - Note text
+ */
+
+/**
+ * Get a report's annotations, in page order
+ * @param {string} reportId - Report ID
+ * @returns {Promise<Array<ReportAnnotation>>} Annotations
+ */
+export async function getReportAnnotations(reportId) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    const { data, error } = await supabase
+      .from(TABLES.REPORT_ANNOTATIONS)
+      .select(ANNOTATION_COLUMNS)
+      .eq('report_id', reportId)
+      .eq('user_id', user.id)
+      .order('page', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return (data || []).map(toAnnotation);
+
+  } catch (error) {
+    console.error('Failed to fetch report annotations:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a highlight or note to a report
+ * @param {string} reportId - Report ID
+ * @param {Object} annotation - Annotation
+ * @param {string} annotation.type - 'highlight' or 'note'
+ * @param {number} annotation.page - Page number (default 1)
+ * @param {number} annotation.x - Left edge (0-1)
+ * @param {number} annotation.y - Top edge (0-1)
+ * @param {number} annotation.width - Width (0-1), highlights only
+ * @param {number} annotation.height - Height (0-1), highlights only
+ * @param {string} annotation.color - Color (default 'yellow')
+ * @param {string} annotation.content - Note text
+ * @returns {Promise<Object>} Result with the saved ReportAnnotation or error
+ */
+export async function createReportAnnotation(reportId, annotation = {}) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    const { type, page = 1, color = 'yellow', content = '' } = annotation;
+
+    if (!ANNOTATION_TYPES.includes(type)) {
+      throw new Error('Unknown annotation type');
+    }
+
+    if (type === 'note' && !content.trim()) {
+      throw new Error('A note needs some text');
+    }
+
+    const { data, error } = await supabase
+      .from(TABLES.REPORT_ANNOTATIONS)
+      .insert({
+        user_id: user.id,
+        report_id: reportId,
+        page: Math.max(1, Math.round(page)),
+        annotation_type: type,
+        ...toPosition(annotation, type),
+        color: validateColor(color),
+        content: validateContent(content)
+      })
+      .select(ANNOTATION_COLUMNS)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return { data: toAnnotation(data), error: null };
+
+  } catch (error) {
+    console.error('❌ Annotation save failed:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Change an annotation's text, color or position
+ * @param {string} annotationId - Annotation ID
+ * @param {Object} updates - Fields to change: content, color, x, y, width, height
+ * @returns {Promise<Object>} Result with the updated ReportAnnotation or error
+ */
+export async function updateReportAnnotation(annotationId, updates = {}) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    const changes = {};
+
+    if (updates.content !== undefined) changes.content = validateContent(updates.content);
+    if (updates.color !== undefined) changes.color = validateColor(updates.color);
+
+    ['x', 'y', 'width', 'height'].forEach(field => {
+      if (updates[field] !== undefined) changes[field] = clampFraction(updates[field]);
+    });
+
+    const { data, error } = await supabase
+      .from(TABLES.REPORT_ANNOTATIONS)
+      .update(changes)
+      .eq('id', annotationId)
+      .eq('user_id', user.id)
+      .select(ANNOTATION_COLUMNS)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return { data: toAnnotation(data), error: null };
+
+  } catch (error) {
+    console.error('❌ Annotation update failed:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Delete an annotation
+ * @param {string} annotationId - Annotation ID
+ * @returns {Promise<Object>} Result with error if any
+ */
+export async function deleteReportAnnotation(annotationId) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    const { error } = await supabase
+      .from(TABLES.REPORT_ANNOTATIONS)
+      .delete()
+      .eq('id', annotationId)
+      .eq('user_id', user.id);
+
+    if (error) {
+      throw error;
+    }
+
+    return { error: null };
+
+  } catch (error) {
+    console.error('❌ Annotation delete failed:', error);
+    return { error };
+  }
+}
+
+/**
+ * Helper Functions
+ */
+
+/**
+ * Position columns for a new annotation, kept inside the page
+ * @param {Object} annotation - Annotation with x, y, width and height
+ * @param {string} type - Annotation type
+ * @returns {Object} {x, y, width, height}
+ */
+function toPosition(annotation, type) {
+  const x = clampFraction(annotation.x);
+  const y = clampFraction(annotation.y);
+
+  if (type === 'note') {
+    return { x, y, width: 0, height: 0 };
+  }
+
+  const width = Math.min(clampFraction(annotation.width), 1 - x);
+  const height = Math.min(clampFraction(annotation.height), 1 - y);
+
+  if (!width || !height) {
+    throw new Error('Drag over the part of the page to highlight');
+  }
+
+  return { x, y, width, height };
+}
+
+/**
+ * Clamp a value to 0-1
+ * @param {number} value - Value
+ * @returns {number} Fraction
+ */
+function clampFraction(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(1, Math.max(0, number)) : 0;
+}
+
+/**
+ * Check an annotation color
+ * @param {string} color - Color
+ * @returns {string} Color
+ */
+function validateColor(color) {
+  if (!ANNOTATION_COLORS.includes(color)) {
+    throw new Error('Unknown annotation color');
+  }
+
+  return color;
+}
+
+/**
+ * Check note text
+ * @param {string} content - Note text
+ * @returns {string|null} Trimmed text, or null when empty
+ */
+function validateContent(content) {
+  const text = (content || '').trim();
+
+  if (text.length > MAX_NOTE_LENGTH) {
+    throw new Error(`Notes can be at most ${MAX_NOTE_LENGTH} characters`);
+  }
+
+  return text || null;
+}
+
+/**
+ * Convert a database row, whose NUMERIC columns arrive as strings
+ * @param {Object} row - report_annotations row
+ * @returns {ReportAnnotation} Annotation
+ */
+function toAnnotation(row) {
+  return {
+    ...row,
+    x: Number(row.x),
+    y: Number(row.y),
+    width: Number(row.width),
+    height: Number(row.height)
+  };
+}
+
+// Default export
+export default {
+  getReportAnnotations,
+  createReportAnnotation,
+  updateReportAnnotation,
+  deleteReportAnnotation
+};
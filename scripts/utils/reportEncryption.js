@@ -0,0 +1,387 @@
+/**
+ * Report Encryption - Optional end-to-end encryption of health reports in the browser
+ * Each file is encrypted with its own AES-GCM key before upload. That file key is wrapped with
+ * the user's master key and stored on the health_reports row (encryption_metadata). The master
+ * key is itself wrapped with a key derived from the user's passphrase (PBKDF2) and kept in
+ * user_encryption_keys, so changing the passphrase re-wraps one key instead of every file.
+ * The passphrase and unwrapped keys never leave the device; a forgotten passphrase cannot be
+ * recovered.
+ */
+
+import { supabase, TABLES } from '../../config/supabase.js';
+
+export const MIN_PASSPHRASE_LENGTH = 10;
+
+const KDF_ITERATIONS = 600000;
+const CIPHER = 'AES-GCM';
+const KEY_LENGTH = 256;
+const IV_BYTES = 12;
+const SALT_BYTES = 16;
+
+// Unwrapped master key for this page session (non-extractable)
+let masterKey = null;
+
+/**
+ * Encryption metadata stored with an encrypted report
+ * @typedef {Object} EncryptionMetadata
+ * @property {number} version - Format version (1)
+ * @property {string} cipher - 'AES-GCM-256'
+ * @property {string} iv - File IV, base64
+ * @property {string} wrapped_key - File key wrapped with the master key, base64
+ * @property {string} key_iv - IV used to wrap the file key, base64
+ * @property {string} original_type - MIME type of the plaintext file
+ * @property {number} original_size - Size of the plaintext file in bytes
+ */
+
+/**
+ * Whether the user has set up encryption, and whether it is unlocked on this page
+ * @returns {Promise<Object>} {enabled, unlocked}
+ */
+export async function getEncryptionStatus() {
+  try {
+    const keyRecord = await getKeyRecord();
+    return { enabled: Boolean(keyRecord), unlocked: Boolean(masterKey) };
+
+  } catch (error) {
+    console.error('Failed to check encryption status:', error);
+    return { enabled: false, unlocked: false };
+  }
+}
+
+/**
+ * Turn on encryption by creating a master key protected by a passphrase
+ * Leaves encryption unlocked for this page.
+ * @param {string} passphrase - New passphrase
+ * @returns {Promise<Object>} Result with error if any
+ */
+export async function setupEncryption(passphrase) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    validatePassphrase(passphrase);
+
+    const key = await crypto.subtle.generateKey({ name: CIPHER, length: KEY_LENGTH }, true, ['wrapKey', 'unwrapKey']);
+    const wrapped = await wrapMasterKey(key, passphrase);
+
+    const { error } = await supabase
+      .from(TABLES.USER_ENCRYPTION_KEYS)
+      .insert({ user_id: user.id, ...wrapped });
+
+    if (error) {
+      throw error.code === '23505' ? new Error('Encryption is already set up') : error;
+    }
+
+    masterKey = await unwrapMasterKey(wrapped, passphrase, false);
+
+    console.log('✅ Report encryption set up');
+    return { error: null };
+
+  } catch (error) {
+    console.error('❌ Encryption setup failed:', error);
+    return { error };
+  }
+}
+
+/**
+ * Unlock encryption for this page with the passphrase
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object>} Result with error if any
+ */
+export async function unlockEncryption(passphrase) {
+  try {
+    const keyRecord = await getKeyRecord();
+
+    if (!keyRecord) {
+      throw new Error('Encryption has not been set up');
+    }
+
+    masterKey = await unwrapMasterKey(keyRecord, passphrase, false);
+
+    console.log('✅ Report encryption unlocked');
+    return { error: null };
+
+  } catch (error) {
+    console.error('❌ Encryption unlock failed:', error);
+    return { error };
+  }
+}
+
+/**
+ * Forget the unlocked key
+ */
+export function lockEncryption() {
+  masterKey = null;
+}
+
+/**
+ * Whether encrypted files can be read and written on this page
+ * @returns {boolean} Unlocked
+ */
+export function isEncryptionUnlocked() {
+  return Boolean(masterKey);
+}
+
+/**
+ * Change the passphrase by re-wrapping the master key; files are not touched
+ * @param {string} currentPassphrase - Current passphrase
+ * @param {string} newPassphrase - New passphrase
+ * @returns {Promise<Object>} Result with error if any
+ */
+export async function changeEncryptionPassphrase(currentPassphrase, newPassphrase) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    validatePassphrase(newPassphrase);
+
+    const keyRecord = await getKeyRecord();
+
+    if (!keyRecord) {
+      throw new Error('Encryption has not been set up');
+    }
+
+    // Unwrap as extractable so it can be wrapped again under the new passphrase
+    const key = await unwrapMasterKey(keyRecord, currentPassphrase, true);
+    const wrapped = await wrapMasterKey(key, newPassphrase);
+
+    // Matching the old wrapped key means a change made meanwhile (e.g. in another tab) isn't overwritten
+    const { data: updated, error } = await supabase
+      .from(TABLES.USER_ENCRYPTION_KEYS)
+      .update(wrapped)
+      .eq('user_id', user.id)
+      .eq('wrapped_key', keyRecord.wrapped_key)
+      .select('user_id');
+
+    if (error) {
+      throw error;
+    }
+
+    if (!updated?.length) {
+      throw new Error('The passphrase was changed somewhere else. Unlock with the new passphrase and try again.');
+    }
+
+    masterKey = await unwrapMasterKey(wrapped, newPassphrase, false);
+
+    console.log('✅ Encryption passphrase changed');
+    return { error: null };
+
+  } catch (error) {
+    console.error('❌ Passphrase change failed:', error);
+    return { error };
+  }
+}
+
+/**
+ * Encrypt a file with a new file key
+ * @param {File|Blob} file - Plaintext file
+ * @returns {Promise<Object>} {blob, metadata} - Ciphertext and its EncryptionMetadata
+ */
+export async function encryptFile(file) {
+  if (!masterKey) {
+    throw new Error('Unlock encryption before uploading encrypted files');
+  }
+
+  const fileKey = await crypto.subtle.generateKey({ name: CIPHER, length: KEY_LENGTH }, true, ['encrypt', 'decrypt']);
+  const iv = randomBytes(IV_BYTES);
+  const keyIv = randomBytes(IV_BYTES);
+
+  const ciphertext = await crypto.subtle.encrypt({ name: CIPHER, iv }, fileKey, await file.arrayBuffer());
+  const wrappedKey = await crypto.subtle.wrapKey('raw', fileKey, masterKey, { name: CIPHER, iv: keyIv });
+
+  return {
+    blob: new Blob([ciphertext], { type: 'application/octet-stream' }),
+    metadata: {
+      version: 1,
+      cipher: 'AES-GCM-256',
+      iv: toBase64(iv),
+      wrapped_key: toBase64(wrappedKey),
+      key_iv: toBase64(keyIv),
+      original_type: file.type || 'application/octet-stream',
+      original_size: file.size
+    }
+  };
+}
+
+/**
+ * Decrypt a file downloaded from storage
+ * @param {Blob} blob - Ciphertext
+ * @param {EncryptionMetadata} metadata - Metadata stored with the report
+ * @returns {Promise<Blob>} Plaintext with its original type
+ */
+export async function decryptFile(blob, metadata) {
+  if (!masterKey) {
+    throw new Error('Unlock encryption to open encrypted files');
+  }
+
+  const fileKey = await crypto.subtle.unwrapKey(
+    'raw',
+    fromBase64(metadata.wrapped_key),
+    masterKey,
+    { name: CIPHER, iv: fromBase64(metadata.key_iv) },
+    { name: CIPHER, length: KEY_LENGTH },
+    false,
+    ['decrypt']
+  );
+
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: CIPHER, iv: fromBase64(metadata.iv) },
+      fileKey,
+      await blob.arrayBuffer()
+    );
+
+    return new Blob([plaintext], { type: metadata.original_type });
+  } catch {
+    // AES-GCM checks integrity, so a damaged or altered file fails here
+    throw new Error('This document could not be decrypted');
+  }
+}
+
+/**
+ * Helper Functions
+ */
+
+/**
+ * Get the user's wrapped master key
+ * @returns {Promise<Object|null>} user_encryption_keys row, or null if not set up
+ */
+async function getKeyRecord() {
+  const { data: { user } } = await supabase.auth.getUser();
+
+  if (!user) {
+    throw new Error('User not authenticated');
+  }
+
+  const { data, error } = await supabase
+    .from(TABLES.USER_ENCRYPTION_KEYS)
+    .select('wrapped_key, key_iv, kdf_salt, kdf_iterations')
+    .eq('user_id', user.id)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Wrap the master key with a key derived from a passphrase
+ * @param {CryptoKey} key - Extractable master key
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object>} Columns for user_encryption_keys
+ */
+async function wrapMasterKey(key, passphrase) {
+  const salt = randomBytes(SALT_BYTES);
+  const iv = randomBytes(IV_BYTES);
+  const passphraseKey = await derivePassphraseKey(passphrase, salt, KDF_ITERATIONS);
+  const wrapped = await crypto.subtle.wrapKey('raw', key, passphraseKey, { name: CIPHER, iv });
+
+  return {
+    wrapped_key: toBase64(wrapped),
+    key_iv: toBase64(iv),
+    kdf_salt: toBase64(salt),
+    kdf_iterations: KDF_ITERATIONS
+  };
+}
+
+/**
+ * Unwrap the master key with the passphrase
+ * @param {Object} keyRecord - user_encryption_keys row
+ * @param {string} passphrase - Passphrase
+ * @param {boolean} extractable - Whether the key may be wrapped again
+ * @returns {Promise<CryptoKey>} Master key
+ */
+async function unwrapMasterKey(keyRecord, passphrase, extractable) {
+  const passphraseKey = await derivePassphraseKey(passphrase, fromBase64(keyRecord.kdf_salt), keyRecord.kdf_iterations);
+
+  try {
+    return await crypto.subtle.unwrapKey(
+      'raw',
+      fromBase64(keyRecord.wrapped_key),
+      passphraseKey,
+      { name: CIPHER, iv: fromBase64(keyRecord.key_iv) },
+      { name: CIPHER, length: KEY_LENGTH },
+      extractable,
+      ['wrapKey', 'unwrapKey']
+    );
+  } catch {
+    // AES-GCM rejects the wrapped key when the passphrase is wrong
+    throw new Error('Incorrect passphrase');
+  }
+}
+
+/**
+ * Derive a wrapping key from a passphrase with PBKDF2-SHA256
+ * @param {string} passphrase - Passphrase
+ * @param {Uint8Array} salt - Salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} AES-GCM key for wrapping
+ */
+async function derivePassphraseKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: CIPHER, length: KEY_LENGTH },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+}
+
+/**
+ * Check a new passphrase
+ * @param {string} passphrase - Passphrase
+ */
+function validatePassphrase(passphrase) {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+}
+
+/**
+ * Random bytes
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} Bytes
+ */
+function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * Encode bytes as base64
+ * @param {ArrayBuffer|Uint8Array} bytes - Bytes
+ * @returns {string} Base64
+ */
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} value - Base64
+ * @returns {Uint8Array} Bytes
+ */
+function fromBase64(value) {
+  return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}
+
+// Default export
+export default {
+  getEncryptionStatus,
+  setupEncryption,
+  unlockEncryption,
+  lockEncryption,
+  isEncryptionUnlocked,
+  changeEncryptionPassphrase,
+  encryptFile,
+  decryptFile
+};
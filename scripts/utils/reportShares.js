@@ -0,0 +1,274 @@
+/**
+ * Report Shares - Expiring links for sharing health reports with a doctor
+ * A share covers one or more reports and can be revoked at any time. The token lives only in
+ * the link (after the #, so it never reaches server logs) and may be paired with a PIN; the
+ * database keeps SHA-256 hashes of both. Every open, and every refused attempt, is written to
+ * system_logs by the open_report_share function. Opening a link returns a short-lived access
+ * grant; file links are signed with that grant, never with the token and PIN, so PIN guesses
+ * always go through the attempt limit.
+ */
+
+import { supabase, createSharedAccessClient, TABLES, STORAGE_BUCKETS } from '../../config/supabase.js';
+
+export const REPORT_SHARE_MAX_DAYS = 90;
+export const REPORT_SHARE_PIN_PATTERN = /^\d{4,8}$/;
+
+// Page doctors open share links on
+const SHARED_REPORTS_PAGE = new URL('../../shared-reports.html', import.meta.url).href;
+
+// Links to shared files only need to last until the browser starts the download
+const SHARED_FILE_URL_SECONDS = 60;
+
+/**
+ * Create a share link for one or more reports
+ * @param {Array<string>} reportIds - Reports to share
+ * @param {Object} options - Options
+ * @param {number} options.expiresInDays - Days until the link stops working (default 7)
+ * @param {string} options.pin - Optional 4-8 digit PIN the doctor must enter
+ * @param {string} options.label - Who the link is for, e.g. 'Dr. Patel'
+ * @returns {Promise<Object>} Result with {share, url} or error; the url is only available now
+ */
+export async function createReportShare(reportIds, options = {}) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    const { expiresInDays = 7, pin = '', label = '' } = options;
+
+    if (!reportIds?.length) {
+      throw new Error('Select at least one report to share');
+    }
+
+    if (!(expiresInDays > 0 && expiresInDays <= REPORT_SHARE_MAX_DAYS)) {
+      throw new Error(`Links can last at most ${REPORT_SHARE_MAX_DAYS} days`);
+    }
+
+    if (pin && !REPORT_SHARE_PIN_PATTERN.test(pin)) {
+      throw new Error('PIN must be 4 to 8 digits');
+    }
+
+    const token = createToken();
+
+    const { data: share, error } = await supabase
+      .from(TABLES.REPORT_SHARES)
+      .insert({
+        user_id: user.id,
+        token_hash: await sha256Hex(token),
+        pin_hash: pin ? await sha256Hex(`${token}:${pin}`) : null,
+        label: label.trim() || null,
+        report_ids: [...new Set(reportIds)],
+        expires_at: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+      })
+      .select('id, label, report_ids, expires_at, revoked_at, access_count, last_accessed_at, created_at')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    console.log('✅ Report share link created');
+    return {
+      data: { share: { ...share, has_pin: Boolean(pin) }, url: `${SHARED_REPORTS_PAGE}#${token}` },
+      error: null
+    };
+
+  } catch (error) {
+    console.error('❌ Report share creation failed:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Get the user's share links, newest first
+ * @returns {Promise<Array>} Shares with has_pin and is_active flags
+ */
+export async function getReportShares() {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    const { data, error } = await supabase
+      .from(TABLES.REPORT_SHARES)
+      .select('id, label, report_ids, pin_hash, expires_at, revoked_at, failed_pin_attempts, access_count, last_accessed_at, created_at')
+      .eq('user_id', user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    const now = new Date();
+
+    return (data || []).map(({ pin_hash: pinHash, ...share }) => ({
+      ...share,
+      has_pin: Boolean(pinHash),
+      is_active: !share.revoked_at && new Date(share.expires_at) > now && share.failed_pin_attempts < 5
+    }));
+
+  } catch (error) {
+    console.error('Failed to fetch report shares:', error);
+    throw error;
+  }
+}
+
+/**
+ * Revoke a share link so it stops working immediately
+ * @param {string} shareId - Share ID
+ * @returns {Promise<Object>} Result with error if any
+ */
+export async function revokeReportShare(shareId) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    const { error } = await supabase
+      .from(TABLES.REPORT_SHARES)
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', shareId)
+      .eq('user_id', user.id)
+      .is('revoked_at', null);
+
+    if (error) {
+      throw error;
+    }
+
+    console.log('✅ Report share link revoked');
+    return { error: null };
+
+  } catch (error) {
+    console.error('❌ Report share revoke failed:', error);
+    return { error };
+  }
+}
+
+/**
+ * Get the access log of a share link, newest first
+ * @param {string} shareId - Share ID
+ * @returns {Promise<Array>} Log entries with action ('report_share_opened' or
+ *   'report_share_denied'), details.reason, user_agent and created_at
+ */
+export async function getReportShareAccessLog(shareId) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    const { data, error } = await supabase
+      .from(TABLES.SYSTEM_LOGS)
+      .select('id, action, details, user_agent, created_at')
+      .eq('user_id', user.id)
+      .eq('resource_type', 'report_share')
+      .eq('resource_id', shareId)
+      .order('created_at', { ascending: false })
+      .limit(100);
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+
+  } catch (error) {
+    console.error('Failed to fetch report share access log:', error);
+    throw error;
+  }
+}
+
+/**
+ * Open a share link as the recipient (no account needed)
+ * @param {string} token - Token from the link
+ * @param {string} pin - PIN, if the link has one
+ * @returns {Promise<Object>} Result with {status, label, expires_at, reports, attempts_left,
+ *   access_grant, grant_expires_at}; status is 'ok', 'pin_required', 'wrong_pin', 'locked',
+ *   'expired', 'revoked' or 'invalid'
+ */
+export async function openReportShare(token, pin = '') {
+  try {
+    const { data, error } = await supabase.rpc('open_report_share', {
+      share_token: token,
+      share_pin: pin || null
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return { data, error: null };
+
+  } catch (error) {
+    console.error('❌ Opening shared reports failed:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Get a short-lived link to a shared report file
+ * @param {string} accessGrant - access_grant from openReportShare
+ * @param {Object} report - Report from openReportShare
+ * @param {Object} options - Options
+ * @param {boolean} options.download - Make the link download the file
+ * @returns {Promise<string|null>} Signed URL, or null if access was refused
+ */
+export async function getSharedReportUrl(accessGrant, report, options = {}) {
+  try {
+    const client = createSharedAccessClient({ 'x-share-grant': accessGrant });
+
+    const { data, error } = await client.storage
+      .from(STORAGE_BUCKETS.HEALTH_REPORTS)
+      .createSignedUrl(report.file_path, SHARED_FILE_URL_SECONDS, options.download ? { download: report.filename } : undefined);
+
+    if (error) {
+      throw error;
+    }
+
+    return data.signedUrl;
+
+  } catch (error) {
+    console.error('Failed to create shared report link:', error);
+    return null;
+  }
+}
+
+/**
+ * Helper Functions
+ */
+
+/**
+ * Create a random share token
+ * @returns {string} 256-bit token, base64url encoded
+ */
+function createToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * SHA-256 of a string, matching report_share_hash in the database
+ * @param {string} value - Text to hash
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Default export
+export default {
+  createReportShare,
+  getReportShares,
+  revokeReportShare,
+  getReportShareAccessLog,
+  openReportShare,
+  getSharedReportUrl
+};
@@ -0,0 +1,101 @@
+/**
+ * Resumable Upload - Chunked uploads to Supabase Storage over the TUS protocol
+ * Files are sent in 6 MB chunks (the size Supabase requires) and resume where they stopped
+ * after a dropped connection, a retry or a page reload: tus-js-client remembers unfinished
+ * uploads in localStorage, keyed by user, bucket and file.
+ */
+
+import { supabase, STORAGE_RESUMABLE_UPLOAD_URL } from '../../config/supabase.js';
+
+// tus-js-client copied from node_modules (npm run vendor), only loaded the first time a file is uploaded
+const TUS_URL = new URL('../../vendor/tus/tus.min.js', import.meta.url).href;
+
+const CHUNK_SIZE = 6 * 1024 * 1024;
+
+// Waits between automatic retries of a failed chunk, in milliseconds
+const RETRY_DELAYS = [0, 3000, 5000, 10000, 20000];
+
+let tusPromise = null;
+
+/**
+ * Upload a file to storage, resuming an earlier unfinished upload of the same file
+ * @param {string} bucket - Storage bucket
+ * @param {string} path - Object path for a new upload
+ * @param {File} file - File to upload
+ * @param {Object} options - Options
+ * @param {Function} options.onProgress - Called with (bytesUploaded, bytesTotal)
+ * @returns {Promise<Object>} {path} - The object path, which is the earlier upload's path
+ *   when one was resumed
+ */
+export async function uploadFileResumable(bucket, path, file, options = {}) {
+  const { data: { session } } = await supabase.auth.getSession();
+
+  if (!session) {
+    throw new Error('User not authenticated');
+  }
+
+  const { Upload } = await loadTus();
+
+  const upload = new Upload(file, {
+    endpoint: STORAGE_RESUMABLE_UPLOAD_URL,
+    retryDelays: RETRY_DELAYS,
+    chunkSize: CHUNK_SIZE,
+    headers: {
+      authorization: `Bearer ${session.access_token}`,
+      'x-upsert': 'false'
+    },
+    uploadDataDuringCreation: true,
+    removeFingerprintOnSuccess: true,
+    metadata: {
+      bucketName: bucket,
+      objectName: path,
+      contentType: file.type || 'application/octet-stream',
+      cacheControl: '3600'
+    },
+    fingerprint: async () => ['asthmacare', session.user.id, bucket, file.name, file.type, file.size, file.lastModified].join('|'),
+    onProgress: (bytesUploaded, bytesTotal) => options.onProgress?.(bytesUploaded, bytesTotal)
+  });
+
+  // Continue an unfinished upload of this file, keeping the path it was started with
+  const [previous] = await upload.findPreviousUploads();
+
+  if (previous?.metadata?.objectName) {
+    upload.options.metadata = previous.metadata;
+    upload.resumeFromPreviousUpload(previous);
+  }
+
+  await new Promise((resolve, reject) => {
+    upload.options.onSuccess = resolve;
+    upload.options.onError = reject;
+    upload.start();
+  });
+
+  return { path: upload.options.metadata.objectName };
+}
+
+/**
+ * Helper Functions
+ */
+
+/**
+ * Load tus-js-client once
+ * The browser build is a UMD bundle, which sets window.tus rather than exporting anything.
+ * @returns {Promise<Object>} tus-js-client module
+ */
+function loadTus() {
+  if (!tusPromise) {
+    tusPromise = import(TUS_URL)
+      .then(() => window.tus)
+      .catch(error => {
+        tusPromise = null;
+        throw error;
+      });
+  }
+
+  return tusPromise;
+}
+
+// Default export
+export default {
+  uploadFileResumable
+};
@@ -0,0 +1,239 @@
+/**
+ * Trigger Risk - Combined asthma trigger score from air quality, pollen and weather
+ * Scores each trigger 0-100 and combines them so one severe trigger is enough for a
+ * high score while several moderate ones add up
+ */
+
+import { AQI_SCALES, calculateAqi } from './aqi.js';
+
+// Pollen count bands in grains/m³ (US National Allergy Bureau), upper bounds of low/moderate/high
+const POLLEN_BANDS = {
+  tree: [15, 90, 1500],
+  grass: [5, 20, 200],
+  weed: [10, 50, 500]
+};
+
+const POLLEN_LEVELS = ['none', 'low', 'moderate', 'high', 'very high'];
+const POLLEN_LEVEL_SCORES = [0, 15, 50, 75, 100];
+
+// How strongly each trigger contributes to the combined score
+const FACTOR_WEIGHTS = {
+  air_quality: 1.0,
+  pollen: 0.9,
+  thunderstorm: 1.0,
+  cold_air: 0.6,
+  humidity: 0.4,
+  wind: 0.3
+};
+
+export const TRIGGER_RISK_LEVELS = [
+  { max: 25, level: 'low', label: 'Low', color: 'green' },
+  { max: 50, level: 'moderate', label: 'Moderate', color: 'yellow' },
+  { max: 75, level: 'high', label: 'High', color: 'orange' },
+  { max: 100, level: 'very-high', label: 'Very High', color: 'red' }
+];
+
+/**
+ * Trigger risk
+ * @typedef {Object} TriggerRisk
+ * @property {number} score - Combined risk 0-100
+ * @property {string} level - 'low', 'moderate', 'high' or 'very-high'
+ * @property {string} label - Display label
+ * @property {string} color - Badge color
+ * @property {Array<{factor: string, score: number, detail: string}>} factors - Contributing
+ *   triggers, strongest first
+ */
+
+/**
+ * Calculate the combined trigger risk for a reading
+ * Missing data counts as no risk for that trigger.
+ * @param {AirQualityReading} reading - Reading with pollutants, weather and pollen
+ * @returns {TriggerRisk} Trigger risk
+ */
+export function calculateTriggerRisk(reading) {
+  const weather = reading.weather || {};
+  const pollen = reading.pollen || {};
+
+  const factors = [
+    airQualityFactor(reading.pollutants || {}),
+    pollenFactor(pollen),
+    thunderstormFactor(weather, pollen),
+    coldAirFactor(weather),
+    humidityFactor(weather),
+    windFactor(weather)
+  ].filter(factor => factor && factor.score > 0);
+
+  // Combine as independent chances: 1 - Π(1 - weight × score)
+  const remaining = factors.reduce(
+    (product, factor) => product * (1 - FACTOR_WEIGHTS[factor.factor] * factor.score / 100),
+    1
+  );
+  const score = Math.round((1 - remaining) * 100);
+
+  const band = TRIGGER_RISK_LEVELS.find(level => score <= level.max) || TRIGGER_RISK_LEVELS[TRIGGER_RISK_LEVELS.length - 1];
+
+  return {
+    score,
+    level: band.level,
+    label: band.label,
+    color: band.color,
+    factors: factors.sort((a, b) => b.score - a.score)
+  };
+}
+
+/**
+ * Get the level name for a pollen count
+ * @param {string} type - 'tree', 'grass' or 'weed'
+ * @param {number|null} count - Grains/m³
+ * @returns {string} 'none', 'low', 'moderate', 'high' or 'very high'
+ */
+export function getPollenLevel(type, count) {
+  if (count == null || count <= 0) {
+    return 'none';
+  }
+
+  const index = POLLEN_BANDS[type].findIndex(upper => count < upper);
+  return POLLEN_LEVELS[index === -1 ? POLLEN_LEVELS.length - 1 : index + 1];
+}
+
+/**
+ * Helper Functions
+ */
+
+/**
+ * Score pollution from the US EPA AQI of the reading
+ * @param {Object} pollutants - Concentrations in µg/m³
+ * @returns {Object|null} Factor
+ */
+function airQualityFactor(pollutants) {
+  const aqi = calculateAqi(pollutants, AQI_SCALES.US_EPA);
+  if (!aqi) return null;
+
+  return {
+    factor: 'air_quality',
+    // Good air scores 0-17, AQI 100 scores 50 and AQI 175 or worse scores 100
+    score: clamp((aqi.value - 25) / 1.5),
+    detail: `AQI ${aqi.value} (${aqi.category})`
+  };
+}
+
+/**
+ * Score pollen from the worst pollen type
+ * @param {Object} pollen - Counts per pollen type
+ * @returns {Object|null} Factor
+ */
+function pollenFactor(pollen) {
+  const levels = Object.keys(POLLEN_BANDS)
+    .map(type => ({ type, count: pollen[type], level: getPollenLevel(type, pollen[type]) }))
+    .filter(entry => entry.level !== 'none');
+
+  if (!levels.length) return null;
+
+  const worst = levels.reduce((max, entry) =>
+    POLLEN_LEVELS.indexOf(entry.level) > POLLEN_LEVELS.indexOf(max.level) ? entry : max
+  );
+
+  return {
+    factor: 'pollen',
+    score: POLLEN_LEVEL_SCORES[POLLEN_LEVELS.indexOf(worst.level)],
+    detail: `${capitalize(worst.type)} pollen ${worst.level} (${Math.round(worst.count)} grains/m³)`
+  };
+}
+
+/**
+ * Score thunderstorms, highest when pollen is also up
+ * @param {WeatherConditions} weather - Weather
+ * @param {Object} pollen - Counts per pollen type
+ * @returns {Object|null} Factor
+ */
+function thunderstormFactor(weather, pollen) {
+  if (!weather.thunderstorm) return null;
+
+  // Storms break pollen grains into fragments small enough to reach the lower airways
+  const pollenHigh = Object.keys(POLLEN_BANDS).some(type =>
+    POLLEN_LEVELS.indexOf(getPollenLevel(type, pollen[type])) >= POLLEN_LEVELS.indexOf('moderate')
+  );
+
+  return {
+    factor: 'thunderstorm',
+    score: pollenHigh ? 100 : 60,
+    detail: pollenHigh ? 'Thunderstorm with high pollen (thunderstorm asthma risk)' : 'Thunderstorm'
+  };
+}
+
+/**
+ * Score cold air from the apparent temperature
+ * @param {WeatherConditions} weather - Weather
+ * @returns {Object|null} Factor
+ */
+function coldAirFactor(weather) {
+  const temperature = weather.feels_like_c ?? weather.temperature_c;
+  if (temperature == null) return null;
+
+  return {
+    factor: 'cold_air',
+    // 10°C scores 0, 0°C scores 50, -10°C and below scores 100
+    score: clamp((10 - temperature) * 5),
+    detail: `Feels like ${Math.round(temperature)}°C`
+  };
+}
+
+/**
+ * Score humidity outside the comfortable 30-60% range
+ * @param {WeatherConditions} weather - Weather
+ * @returns {Object|null} Factor
+ */
+function humidityFactor(weather) {
+  const humidity = weather.humidity;
+  if (humidity == null) return null;
+
+  // Both damp (mould, dust mites) and very dry air irritate airways
+  const score = humidity > 60 ? clamp((humidity - 60) * 2.5) : clamp((30 - humidity) * 3);
+
+  return {
+    factor: 'humidity',
+    score,
+    detail: `Humidity ${Math.round(humidity)}%`
+  };
+}
+
+/**
+ * Score wind from the stronger of speed and gusts
+ * @param {WeatherConditions} weather - Weather
+ * @returns {Object|null} Factor
+ */
+function windFactor(weather) {
+  const wind = Math.max(weather.wind_kph ?? 0, weather.gust_kph ?? 0);
+  if (!wind) return null;
+
+  return {
+    factor: 'wind',
+    // Strong winds carry pollen and dust further
+    score: clamp((wind - 15) * 2.5),
+    detail: `Wind up to ${Math.round(wind)} km/h`
+  };
+}
+
+/**
+ * Round and clamp a score to 0-100
+ * @param {number} value - Raw score
+ * @returns {number} Score
+ */
+function clamp(value) {
+  return Math.round(Math.min(Math.max(value, 0), 100));
+}
+
+/**
+ * Capitalize the first letter
+ * @param {string} text - Text
+ * @returns {string} Capitalized text
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Default export
+export default {
+  calculateTriggerRisk,
+  getPollenLevel
+};
@@ -0,0 +1,144 @@
+/**
+ * Upload Queue - Uploads several files a few at a time with per-file and total progress
+ * Files that fail stay in the queue and can be retried on their own; finished files are
+ * never sent again.
+ */
+
+export const DEFAULT_UPLOAD_CONCURRENCY = 3;
+
+/**
+ * Queued file
+ * @typedef {Object} QueueItem
+ * @property {number} id - Position in the queue
+ * @property {File} file - File to upload
+ * @property {string} status - 'queued', 'uploading', 'processing' (bytes sent, upload function
+ *   still running), 'done' or 'failed'
+ * @property {number} loaded - Bytes sent
+ * @property {number} total - File size in bytes
+ * @property {*} result - What the upload function returned
+ * @property {Error|null} error - Why the upload failed
+ */
+
+/**
+ * Create an upload queue
+ * @param {Array<File>} files - Files to upload
+ * @param {Function} uploadFn - Uploads one file: (file, onProgress) => Promise; onProgress takes
+ *   (bytesUploaded, bytesTotal). Throw to mark the file as failed.
+ * @param {Object} options - Options
+ * @param {number} options.concurrency - Files uploaded at the same time (default 3)
+ * @param {Function} options.onUpdate - Called with (items, progress) whenever anything changes
+ * @returns {Object} Queue with items, run(), retryFailed() and getProgress()
+ */
+export function createUploadQueue(files, uploadFn, options = {}) {
+  const { concurrency = DEFAULT_UPLOAD_CONCURRENCY, onUpdate = () => {} } = options;
+
+  const items = Array.from(files).map((file, id) => ({
+    id,
+    file,
+    status: 'queued',
+    loaded: 0,
+    total: file.size,
+    result: null,
+    error: null
+  }));
+
+  let running = null;
+
+  const notify = () => onUpdate(items, getUploadProgress(items));
+
+  const uploadItem = async (item) => {
+    item.status = 'uploading';
+    item.error = null;
+    notify();
+
+    try {
+      item.result = await uploadFn(item.file, (loaded, total) => {
+        item.loaded = loaded;
+        item.total = total || item.total;
+        if (item.loaded >= item.total) item.status = 'processing';
+        notify();
+      });
+      item.loaded = item.total;
+      item.status = 'done';
+
+    } catch (error) {
+      console.error(`Upload failed for ${item.file.name}:`, error);
+      item.error = error;
+      item.status = 'failed';
+    }
+
+    notify();
+  };
+
+  const run = () => {
+    if (running) return running;
+
+    running = (async () => {
+      const workers = Array.from({ length: Math.max(1, concurrency) }, async () => {
+        let item;
+        while ((item = items.find(candidate => candidate.status === 'queued'))) {
+          await uploadItem(item);
+        }
+      });
+
+      await Promise.all(workers);
+      running = null;
+      return getUploadProgress(items);
+    })();
+
+    return running;
+  };
+
+  return {
+    items,
+
+    /**
+     * Upload every queued file
+     * @returns {Promise<Object>} Final progress (see getUploadProgress)
+     */
+    run,
+
+    /**
+     * Put failed files back in the queue and upload them again
+     * @returns {Promise<Object>} Final progress (see getUploadProgress)
+     */
+    retryFailed() {
+      items
+        .filter(item => item.status === 'failed')
+        .forEach(item => {
+          item.status = 'queued';
+          item.loaded = 0;
+        });
+
+      notify();
+      return run();
+    },
+
+    getProgress: () => getUploadProgress(items)
+  };
+}
+
+/**
+ * Total progress of a queue
+ * @param {Array<QueueItem>} items - Queue items
+ * @returns {Object} {loaded, total, percent, done, failed, pending}
+ */
+export function getUploadProgress(items) {
+  const loaded = items.reduce((sum, item) => sum + item.loaded, 0);
+  const total = items.reduce((sum, item) => sum + item.total, 0);
+
+  return {
+    loaded,
+    total,
+    percent: total ? Math.min(100, (loaded / total) * 100) : 0,
+    done: items.filter(item => item.status === 'done').length,
+    failed: items.filter(item => item.status === 'failed').length,
+    pending: items.filter(item => !['done', 'failed'].includes(item.status)).length
+  };
+}
+
+// Default export
+export default {
+  createUploadQueue,
+  getUploadProgress
+};